@@ -0,0 +1,219 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { INITIAL_RATING } from "./ratings.js";
+import { KaboError } from "./i18n.js";
+
+// =====================
+// Accounts
+// =====================
+// Lightweight accounts for leagues: a username + password, or a guest account
+// that only exists through its session token. Sessions are bearer tokens; only
+// their sha256 is stored. Every finished round a player sat in with an account
+// is added to that account's lifetime stats.
+
+const USERNAME = /^[A-Za-z0-9_-]{3,16}$/;
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+/** Salted scrypt hash of a password; pass the stored salt to check one. */
+export function hashSecret(secret, salt = crypto.randomBytes(16).toString("hex")) {
+  return { salt, hash: crypto.scryptSync(secret, salt, 32).toString("hex") };
+}
+
+export function secretMatches(secret, stored) {
+  if (typeof secret !== "string" || !stored) return false;
+  const { hash } = hashSecret(secret, stored.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(stored.hash, "hex"));
+}
+
+function emptyStats() {
+  return {
+    rounds: 0,
+    wins: 0,
+    totalScore: 0,
+    caboCalls: 0,
+    caboWins: 0,
+    burnsHit: 0,
+    burnsMissed: 0,
+    powers: {},
+    matches: 0,
+    matchWins: 0
+  };
+}
+
+export class Accounts {
+  /** file: JSON file to keep accounts in, or null for memory only */
+  constructor(file = null) {
+    this.file = file;
+    this.byId = new Map();
+    this.saving = null;
+  }
+
+  async load() {
+    if (!this.file) return;
+    let list = [];
+    try {
+      list = JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.error(`Could not read accounts from ${this.file}:`, e.message);
+    }
+    for (const a of list) this.byId.set(a.id, a);
+  }
+
+  save() {
+    if (!this.file || this.saving) return;
+    this.saving = new Promise(resolve => setImmediate(async () => {
+      this.saving = null;
+      const tmp = `${this.file}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify([...this.byId.values()]));
+        await fs.promises.rename(tmp, this.file);
+      } catch (e) {
+        console.error("Saving accounts failed:", e.message);
+      }
+      resolve();
+    }));
+  }
+
+  byUsername(username) {
+    const key = String(username).toLowerCase();
+    for (const a of this.byId.values()) if (a.username.toLowerCase() === key) return a;
+    return null;
+  }
+
+  byToken(token) {
+    if (typeof token !== "string" || !token) return null;
+    const hash = sha256(token);
+    for (const a of this.byId.values()) if (a.sessions.includes(hash)) return a;
+    return null;
+  }
+
+  /** Start a new session for the account and return its bearer token. */
+  newSession(account) {
+    const token = crypto.randomBytes(24).toString("hex");
+    account.sessions = [...account.sessions, sha256(token)].slice(-5);
+    this.save();
+    return token;
+  }
+
+  create(username, password, guest) {
+    const account = {
+      id: crypto.randomBytes(8).toString("hex"),
+      username,
+      password: password === null ? null : hashSecret(password),
+      guest,
+      createdAt: Date.now(),
+      sessions: [],
+      stats: emptyStats(),
+      ratings: {}
+    };
+    this.byId.set(account.id, account);
+    return { account, token: this.newSession(account) };
+  }
+
+  register(username, password) {
+    if (typeof username !== "string" || !USERNAME.test(username)) {
+      throw new KaboError("BAD_USERNAME");
+    }
+    if (typeof password !== "string" || password.length < 6 || password.length > 128) {
+      throw new KaboError("BAD_PASSWORD");
+    }
+    if (this.byUsername(username)) throw new KaboError("USERNAME_TAKEN");
+    return this.create(username, password, false);
+  }
+
+  guest() {
+    let username;
+    do username = `guest-${crypto.randomBytes(3).toString("hex")}`; while (this.byUsername(username));
+    return this.create(username, null, true);
+  }
+
+  login(username, password) {
+    const account = this.byUsername(username);
+    if (!account || !secretMatches(password, account.password)) throw new KaboError("WRONG_LOGIN");
+    return { account, token: this.newSession(account) };
+  }
+
+  /**
+   * Add one finished round: { score, won, caboCalled, caboWon, burnsHit,
+   * burnsMissed, powers: { kind: n } }
+   */
+  recordRound(accountId, r) {
+    const account = this.byId.get(accountId);
+    if (!account) return;
+    const s = account.stats;
+    s.rounds += 1;
+    s.wins += r.won ? 1 : 0;
+    s.totalScore += r.score;
+    s.caboCalls += r.caboCalled ? 1 : 0;
+    s.caboWins += r.caboCalled && r.caboWon ? 1 : 0;
+    s.burnsHit += r.burnsHit;
+    s.burnsMissed += r.burnsMissed;
+    for (const [kind, n] of Object.entries(r.powers)) s.powers[kind] = (s.powers[kind] || 0) + n;
+    this.save();
+  }
+
+  recordMatch(accountId, won) {
+    const account = this.byId.get(accountId);
+    if (!account) return;
+    account.stats.matches += 1;
+    account.stats.matchWins += won ? 1 : 0;
+    this.save();
+  }
+
+  /** { rating, games, wins } for a season and preset; unrated players start at INITIAL_RATING. */
+  ratingOf(accountId, season, preset) {
+    const account = this.byId.get(accountId);
+    return account?.ratings?.[season]?.[preset] ?? { rating: INITIAL_RATING, games: 0, wins: 0 };
+  }
+
+  /** changes: { accountId: { delta, won } } from one ranked match */
+  applyRatings(season, preset, changes) {
+    for (const [accountId, { delta, won }] of Object.entries(changes)) {
+      const account = this.byId.get(accountId);
+      if (!account) continue;
+      const r = this.ratingOf(accountId, season, preset);
+      account.ratings ??= {};
+      (account.ratings[season] ??= {})[preset] = {
+        rating: Math.round((r.rating + delta) * 10) / 10,
+        games: r.games + 1,
+        wins: r.wins + (won ? 1 : 0)
+      };
+    }
+    this.save();
+  }
+
+  /** Rated players of a season/preset, best first. */
+  ratingTable(season, preset) {
+    return [...this.byId.values()]
+      .filter(a => !a.guest && a.ratings?.[season]?.[preset])
+      .map(a => ({ username: a.username, ...a.ratings[season][preset] }))
+      .sort((a, b) => b.rating - a.rating);
+  }
+}
+
+/** What other people may see about an account. */
+export function profileView(account) {
+  const s = account.stats;
+  return {
+    username: account.username,
+    guest: account.guest,
+    createdAt: account.createdAt,
+    ratings: account.ratings ?? {},
+    stats: {
+      ...s,
+      averageScore: s.rounds ? s.totalScore / s.rounds : null,
+      caboSuccessRate: s.caboCalls ? s.caboWins / s.caboCalls : null
+    }
+  };
+}
+
+/**
+ * KABO_STORE=file keeps accounts in KABO_ACCOUNTS_FILE (default
+ * ./data/accounts.json); otherwise they last as long as the process.
+ */
+export function createAccounts(env = process.env) {
+  if (env.KABO_STORE === "file") return new Accounts(env.KABO_ACCOUNTS_FILE || path.join("data", "accounts.json"));
+  return new Accounts();
+}
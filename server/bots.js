@@ -0,0 +1,317 @@
+import { KaboError } from "./i18n.js";
+
+// =====================
+// Bots
+// =====================
+// A bot is a seated player without a socket. It sees exactly what a client in
+// its seat would see: publicState for its seat, its own private events (peeks,
+// draws, reveals, King previews) and the moves everyone makes at the table
+// (which slots were swapped or burned, never the cards). Everything it knows is
+// kept in `bot.memory` as plain JSON so it survives a room snapshot.
+//
+// memory.hands[playerId][i] is the card the bot believes sits in that player's
+// slot i (null = unknown). Slots follow the cards as they move around.
+
+export const BOT_LEVELS = {
+  // forgets cards, never uses powers or burns
+  easy: { recall: 0.6, powers: [], burns: false, swapMargin: 3, caboAt: 4 },
+  // remembers everything, peeks and skips, burns its own cards
+  medium: { recall: 1, powers: ["peekOwn", "peekOpp", "skip"], burns: true, steals: false, swapMargin: 2, caboAt: 5 },
+  // also swaps with opponents and steal-burns
+  hard: { recall: 1, powers: ["peekOwn", "peekOpp", "skip", "unseenSwap", "seenSwap"], burns: true, steals: true, swapMargin: 1, caboAt: 7 }
+};
+
+export function createBot(level = "medium") {
+  if (!BOT_LEVELS[level]) throw new KaboError("UNKNOWN_BOT_LEVEL", { levels: Object.keys(BOT_LEVELS).join(", ") });
+  return { level, memory: null };
+}
+
+/** Start of a round: only the hand sizes are known. counts = { playerId: handCount } */
+export function resetMemory(bot, counts) {
+  bot.memory = {
+    hands: Object.fromEntries(Object.entries(counts).map(([id, n]) => [id, Array(n).fill(null)])),
+    drawn: null,
+    drawnFrom: null,
+    power: null,
+    preview: null,
+    centerCard: null,
+    kingPreviews: {}
+  };
+}
+
+const slotsOf = (mem, id) => (mem.hands[id] ??= []);
+
+// targetId may be left out when there is only one opponent
+function targetOf(mem, playerId, targetId) {
+  if (targetId) return targetId;
+  const others = Object.keys(mem.hands).filter(id => id !== playerId);
+  return others.length === 1 ? others[0] : null;
+}
+
+/** A private event addressed to the bot's seat. */
+export function observePrivate(bot, selfId, event, payload) {
+  const mem = bot.memory;
+  if (!mem) return;
+
+  switch (event) {
+    case "peek:result":
+      slotsOf(mem, selfId)[payload.index] = payload.card;
+      break;
+    case "turn:drawResult":
+      mem.drawn = payload.card;
+      mem.power = payload.power;
+      break;
+    case "power:reveal":
+      slotsOf(mem, payload.kind === "own" ? selfId : payload.targetId)[payload.index] = payload.card;
+      break;
+    case "king:preview":
+      slotsOf(mem, selfId)[payload.myIndex] = payload.myCard;
+      slotsOf(mem, payload.targetId)[payload.oppIndex] = payload.oppCard;
+      mem.preview = payload;
+      break;
+    case "burn:revealWrong":
+      slotsOf(mem, payload.targetId)[payload.index] = payload.card;
+      break;
+    case "center:powerAvailable":
+      mem.centerCard = payload.card;
+      break;
+  }
+}
+
+function swapSlots(mem, a, i, b, j) {
+  const x = slotsOf(mem, a), y = slotsOf(mem, b);
+  [x[i], y[j]] = [y[j] ?? null, x[i] ?? null];
+}
+
+/** A move made at the table (a round history entry), by anyone including the bot itself. */
+export function observeMove(bot, selfId, entry) {
+  const mem = bot.memory;
+  if (!mem) return;
+  const { type, playerId, payload = {}, result } = entry;
+  const mine = playerId === selfId;
+
+  switch (type) {
+    case "turn:take":
+      // the draw itself was already seen privately; anything from the last turn is stale
+      if (mine) {
+        mem.drawnFrom = payload.source || "draw";
+        mem.preview = null;
+        mem.centerCard = null;
+      }
+      break;
+    case "turn:swap":
+      slotsOf(mem, playerId)[payload.handIndex] = mine ? mem.drawn : null;
+      break;
+    case "power:queenUnseenSwap":
+    case "centerPower:queenUnseenSwap": {
+      const target = targetOf(mem, playerId, payload.targetId);
+      if (target) swapSlots(mem, playerId, payload.myIndex, target, payload.oppIndex);
+      break;
+    }
+    case "power:kingPreview":
+    case "centerPower:kingPreview":
+      mem.kingPreviews[playerId] = payload;
+      break;
+    case "power:kingConfirm":
+    case "centerPower:kingConfirm": {
+      const p = mem.kingPreviews[playerId];
+      const target = p && targetOf(mem, playerId, p.targetId);
+      if (payload.confirm && target) swapSlots(mem, playerId, p.myIndex, target, p.oppIndex);
+      delete mem.kingPreviews[playerId];
+      break;
+    }
+    // one judged attempt from a burn window; indices are where the cards were when it resolved
+    case "burn:resolved":
+      if (result === "BURN_OK") {
+        slotsOf(mem, playerId).splice(payload.index, 1);
+      } else if (result === "BURN_OK_STEAL") {
+        const [gift] = payload.giveIndex >= 0 ? slotsOf(mem, playerId).splice(payload.giveIndex, 1) : [];
+        const victim = slotsOf(mem, payload.targetId);
+        victim.splice(payload.index, 1);
+        if (payload.giveIndex >= 0) victim.push(gift ?? null);
+      } else if (result === "BURN_WRONG_SELF" || result === "BURN_WRONG_STEAL") {
+        slotsOf(mem, playerId).push(null);
+      }
+      break;
+  }
+}
+
+// =====================
+// Choosing a move
+// =====================
+
+/** Average score of an unseen card under the room's rules. */
+function unknownValue(rules) {
+  return (4 * 91 - 2 * 13 + 2 * rules.redKingValue) / 52;
+}
+
+function recall(bot, card) {
+  return card && Math.random() < BOT_LEVELS[bot.level].recall ? card : null;
+}
+
+/** My slots as { index, card, value } with unknown cards valued at the average. */
+function ownSlots(bot, view, selfId) {
+  const me = view.players.find(p => p.id === selfId);
+  const known = slotsOf(bot.memory, selfId);
+  const avg = unknownValue(view.rules);
+  return Array.from({ length: me.handCount }, (_, index) => {
+    const card = recall(bot, known[index]);
+    return { index, card, value: card ? card.score : avg };
+  });
+}
+
+// an empty hand has nothing to give away
+const worstSlot = (slots) => slots.reduce((a, b) => (b.value > a.value ? b : a), { index: 0, card: null, value: -Infinity });
+
+// with teams, a partner is never a target
+function opponents(view, selfId) {
+  const team = view.rules.teams ? view.players.find(p => p.id === selfId)?.team : null;
+  return view.players.filter(p => p.id !== selfId && !p.eliminated && p.handCount > 0 && !(team && p.team === team));
+}
+
+/** What the bot believes the partner's hand adds to a team total (0 without teams). */
+function partnerValue(bot, view, selfId) {
+  if (!view.rules.teams) return 0;
+  const team = view.players.find(p => p.id === selfId)?.team;
+  const partner = view.players.find(p => p.id !== selfId && p.team === team && !p.eliminated);
+  if (!partner) return 0;
+  const known = slotsOf(bot.memory, partner.id);
+  const avg = unknownValue(view.rules);
+  return Array.from({ length: partner.handCount }, (_, i) => recall(bot, known[i])?.score ?? avg).reduce((a, b) => a + b, 0);
+}
+
+/** Lowest known card any opponent holds, if any. */
+function bestOppCard(bot, view, selfId) {
+  let best = null;
+  for (const p of opponents(view, selfId)) {
+    slotsOf(bot.memory, p.id).slice(0, p.handCount).forEach((card, index) => {
+      if (card && (!best || card.score < best.card.score)) best = { targetId: p.id, index, card };
+    });
+  }
+  return best;
+}
+
+/** An opponent slot the bot knows nothing about. */
+function unknownOppSlot(bot, view, selfId) {
+  for (const p of opponents(view, selfId)) {
+    const known = slotsOf(bot.memory, p.id);
+    for (let index = 0; index < p.handCount; index++) {
+      if (!known[index]) return { targetId: p.id, index };
+    }
+  }
+  const p = opponents(view, selfId)[0];
+  return p ? { targetId: p.id, index: 0 } : null;
+}
+
+function choosePower(bot, view, selfId, power, prefix) {
+  const lvl = BOT_LEVELS[bot.level];
+  if (!lvl.powers.includes(power)) return null;
+  const slots = ownSlots(bot, view, selfId);
+  const worst = worstSlot(slots);
+
+  switch (power) {
+    case "peekOwn": {
+      const unknown = slots.find(s => !s.card);
+      return unknown ? [`${prefix}:peekOwn`, { handIndex: unknown.index }] : null;
+    }
+    case "peekOpp": {
+      const t = unknownOppSlot(bot, view, selfId);
+      return t ? [`${prefix}:peekOpp`, { targetId: t.targetId, oppIndex: t.index }] : null;
+    }
+    case "skip":
+      return [`${prefix}:jackSkip`, {}];
+    case "unseenSwap": {
+      // trade my worst card for the lowest card I know of, or a blind one if mine is bad enough
+      const best = bestOppCard(bot, view, selfId);
+      const t = best && best.card.score < worst.value ? best : worst.value >= 9 ? unknownOppSlot(bot, view, selfId) : null;
+      return t ? [`${prefix}:queenUnseenSwap`, { myIndex: worst.index, targetId: t.targetId, oppIndex: t.index }] : null;
+    }
+    case "seenSwap": {
+      const t = bestOppCard(bot, view, selfId) ?? unknownOppSlot(bot, view, selfId);
+      return t ? [`${prefix}:kingPreview`, { myIndex: worst.index, targetId: t.targetId, oppIndex: t.index }] : null;
+    }
+  }
+  return null;
+}
+
+/** A burn the bot is sure about: a card of the same rank as the center top. */
+function chooseBurn(bot, view, selfId) {
+  const lvl = BOT_LEVELS[bot.level];
+  const top = view.discardTop;
+  if (!lvl.burns || !top || ["LOBBY", "PEEK", "ENDED"].includes(view.phase)) return null;
+  // one try per burn window
+  if (view.burnWindow?.attempted.includes(selfId)) return null;
+
+  const slots = ownSlots(bot, view, selfId);
+  const own = slots.find(s => s.card?.r === top.r);
+  if (own) return ["burn:attempt", { target: "self", index: own.index }];
+
+  if (lvl.steals && slots.length > 0) {
+    for (const p of opponents(view, selfId)) {
+      const index = slotsOf(bot.memory, p.id).slice(0, p.handCount).findIndex(c => c?.r === top.r);
+      if (index >= 0) {
+        return ["burn:attempt", { target: "opp", targetId: p.id, index, giveIndex: worstSlot(slots).index }];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * The bot's next move as [event, payload], or null when it has nothing to do.
+ * view is publicState for the bot's seat.
+ */
+export function chooseMove(bot, view, selfId) {
+  const mem = bot.memory;
+  const me = view.players.find(p => p.id === selfId);
+  if (!mem || !me || me.eliminated) return null;
+  const lvl = BOT_LEVELS[bot.level];
+
+  if (view.phase === "PEEK") {
+    if (me.peeksLeft <= 0) return null;
+    const known = slotsOf(mem, selfId);
+    const index = Array.from({ length: me.handCount }, (_, i) => i).find(i => !known[i]) ?? 0;
+    return ["game:peek", { index }];
+  }
+
+  if (view.phase === "CENTER_POWER") {
+    if (view.turnPlayerId !== selfId || !mem.centerCard) return chooseBurn(bot, view, selfId);
+    if (mem.preview) return ["centerPower:kingConfirm", { confirm: mem.preview.oppCard.score < mem.preview.myCard.score }];
+    const power = view.rules.powers[mem.centerCard.r];
+    return choosePower(bot, view, selfId, power, "centerPower") ?? ["centerPower:skip", {}];
+  }
+
+  const burn = chooseBurn(bot, view, selfId);
+  if (burn) return burn;
+  if (view.turnPlayerId !== selfId) return null;
+
+  const slots = ownSlots(bot, view, selfId);
+  const worst = worstSlot(slots);
+
+  if (view.phase === "TURN_DRAW" || view.phase === "LAST_TURN") {
+    const allKnown = slots.every(s => s.card);
+    const sum = slots.reduce((a, s) => a + s.value, 0);
+    const limit = view.rules.caboBelow;
+    const total = sum + partnerValue(bot, view, selfId);
+    if (view.phase === "TURN_DRAW" && !view.caboCalledBy && allKnown && sum <= lvl.caboAt && (limit === null || total < limit)) {
+      return ["turn:cabo", {}];
+    }
+    const top = view.discardTop;
+    if (top && view.rules.drawFrom.includes("discard") && top.score <= worst.value - lvl.swapMargin - 2) {
+      return ["turn:take", { source: "discard" }];
+    }
+    return ["turn:take", { source: "draw" }];
+  }
+
+  if (view.phase === "TURN_DECIDE" && mem.drawn) {
+    if (mem.preview) {
+      return ["power:kingConfirm", { confirm: mem.preview.oppCard.score < mem.preview.myCard.score }];
+    }
+    if (mem.drawnFrom === "discard" || mem.drawn.score <= worst.value - lvl.swapMargin) {
+      return ["turn:swap", { handIndex: worst.index }];
+    }
+    return (mem.power && choosePower(bot, view, selfId, mem.power, "power")) ?? ["turn:discardDrawn", {}];
+  }
+
+  return null;
+}
@@ -0,0 +1,47 @@
+import { KaboError } from "./i18n.js";
+
+// =====================
+// Chat
+// =====================
+// Text clean-up and the built-in emotes for room chat. Messages are kept short,
+// stripped of control characters and have blocked words masked; rooms keep the
+// history and decide who gets what (see "Chat" in server.js).
+
+export const CHAT_MAX_LENGTH = 200;
+
+// emote id -> what clients show for it; also the only allowed reactions
+export const EMOTES = {
+  gg: "👏",
+  nice: "👍",
+  lol: "😂",
+  wow: "😮",
+  ouch: "😬",
+  think: "🤔",
+  angry: "😠",
+  cabo: "📣"
+};
+
+// whole words and their obvious stretches ("shiiit"); masked, not rejected
+const BLOCKED_WORDS = [
+  "fuck", "shit", "bitch", "cunt", "dick", "asshole", "bastard", "wanker", "twat", "slut", "whore", "fag", "nigger", "retard"
+];
+
+const stretched = (word) => [...word].map(ch => `${ch}+`).join("");
+const BLOCKED = new RegExp(`\\b(${BLOCKED_WORDS.map(stretched).join("|")})(s|es|ed|er|ers|ing|y)?\\b`, "gi");
+
+/** Clean chat text for display; throws if nothing is left to send. */
+export function cleanText(text) {
+  const clean = String(text ?? "")
+    .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, CHAT_MAX_LENGTH)
+    .replace(BLOCKED, (w) => w[0] + "*".repeat(w.length - 1));
+  if (!clean) throw new KaboError("EMPTY_MESSAGE");
+  return clean;
+}
+
+export function requireEmote(id) {
+  if (!Object.hasOwn(EMOTES, id)) throw new KaboError("UNKNOWN_EMOTE", { emotes: Object.keys(EMOTES).join(", ") });
+  return id;
+}
@@ -0,0 +1,128 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+
+// =====================
+// Cluster
+// =====================
+// Several server instances can run behind one address. Every room is pinned to
+// one instance, which keeps it in memory and runs its timers and bots; a shared
+// directory says which instance that is. Everything else goes through Socket.IO:
+// the cluster's adapter carries io.to(...) emits to sockets on every instance
+// and io.serverSideEmit requests between instances (see "Cluster" in server.js).
+//
+// A cluster has
+//   adapter           a Socket.IO adapter class, or null for a lone instance
+//   claim(roomId)     take a free room code for this instance -> boolean
+//   owner(roomId)     the instance holding a room, or null
+//   move(roomId, to)  hand a room to another instance
+//   release(roomId)   forget a closed room (only its owner can)
+// The directory calls are async so a shared store (Redis, a database) can back
+// them; LocalBus is the in-process stand-in the tests run several servers on.
+//
+// To run instances as separate processes, point KABO_CLUSTER at a module (a
+// file path, or a package name) that exports
+//   createCluster(instanceId, env) -> a cluster as above, or a promise of one
+// with a shared directory and an adapter every instance reaches, e.g.
+// @socket.io/redis-adapter's. Each instance needs its own KABO_INSTANCE_ID.
+
+export class LocalBus {
+  constructor() {
+    this.owners = new Map(); // roomId -> instance id
+    this.adapters = new Set();
+  }
+
+  join(instanceId) {
+    return new LocalCluster(this, instanceId, busAdapter(this));
+  }
+
+  // Messages are copied and delivered on a later tick, as a network would.
+  publish(from, message) {
+    for (const adapter of this.adapters) {
+      if (adapter === from || adapter.nsp.name !== message.nsp) continue;
+      const copy = structuredClone(message);
+      setImmediate(() => adapter.onMessage(copy));
+    }
+  }
+
+  respond(uid, response) {
+    for (const adapter of this.adapters) {
+      if (adapter.uid !== uid) continue;
+      const copy = structuredClone(response);
+      setImmediate(() => adapter.onResponse(copy));
+    }
+  }
+}
+
+function busAdapter(bus) {
+  return class LocalBusAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {});
+      bus.adapters.add(this);
+    }
+
+    doPublish(message) {
+      bus.publish(this, message);
+      return Promise.resolve(""); // no offsets: the bus keeps nothing for connection state recovery
+    }
+
+    doPublishResponse(requesterUid, response) {
+      bus.respond(requesterUid, response);
+      return Promise.resolve();
+    }
+
+    close() {
+      super.close();
+      bus.adapters.delete(this);
+    }
+  };
+}
+
+export class LocalCluster {
+  constructor(bus, instanceId, adapter = null) {
+    this.bus = bus;
+    this.instanceId = instanceId;
+    this.adapter = adapter;
+  }
+
+  async claim(roomId) {
+    if (this.bus.owners.has(roomId)) return false;
+    this.bus.owners.set(roomId, this.instanceId);
+    return true;
+  }
+
+  async owner(roomId) {
+    return this.bus.owners.get(roomId) ?? null;
+  }
+
+  async move(roomId, to) {
+    this.bus.owners.set(roomId, to);
+  }
+
+  async release(roomId) {
+    if (this.bus.owners.get(roomId) === this.instanceId) this.bus.owners.delete(roomId);
+  }
+}
+
+const processBus = new LocalBus();
+
+const CLUSTER_CALLS = ["claim", "owner", "move", "release"];
+
+/**
+ * Unset, KABO_CLUSTER makes a lone instance with its own directory and Socket.IO's
+ * default adapter; "local" joins the bus shared by every server in this process;
+ * anything else names the module to load the cluster from.
+ */
+export async function createCluster(instanceId, env = process.env) {
+  const spec = env.KABO_CLUSTER;
+  if (!spec) return new LocalCluster(new LocalBus(), instanceId);
+  if (spec === "local") return processBus.join(instanceId);
+
+  const url = spec.startsWith(".") || path.isAbsolute(spec) ? pathToFileURL(path.resolve(spec)).href : spec;
+  const plugin = await import(url);
+  if (typeof plugin.createCluster !== "function") throw new Error(`KABO_CLUSTER module ${spec} does not export createCluster`);
+  const cluster = await plugin.createCluster(instanceId, env);
+  const missing = CLUSTER_CALLS.filter(call => typeof cluster?.[call] !== "function");
+  if (missing.length) throw new Error(`KABO_CLUSTER module ${spec} gave a cluster without ${missing.join(", ")}`);
+  return cluster;
+}
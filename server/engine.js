@@ -0,0 +1,1587 @@
+import crypto from "crypto";
+import { msg, KaboError, logView, DEFAULT_LOCALE } from "./i18n.js";
+
+// =====================
+// Engine
+// =====================
+// The game itself on a plain JSON table: dealing, moves, powers, burn windows,
+// take-backs, scoring and replays. Nothing here touches a socket or a timer, so
+// it runs the same in the server, the replayer and the tests.
+//
+// Calls that may show somebody something return { state, events, reply }:
+// `events` are { playerId, event, payload } for the caller to deliver, to one
+// seat or, with playerId null, to the whole table; `reply` holds extra callback
+// fields. Deadlines and burn windows only carry their times (room.deadline,
+// burnWindow.closesAt): the server arms the timers and calls back in with
+// playTimeout and closeBurnWindow.
+
+// events collected by the call in progress; null outside one
+let outbox = null;
+
+/** Show one seat something only they may see. */
+function tell(room, playerId, event, payload) {
+  // whoever sees the card must not take back the move that showed it either
+  if (HIDDEN_REVEALS.includes(event)) blockUndo(room, null, msg("UNDO_BLOCKED_REVEAL"));
+  outbox?.push({ playerId, event, payload });
+}
+
+/** Show one seat again what it was already shown: nothing new is revealed. */
+function resend(playerId, event, payload) {
+  outbox?.push({ playerId, event, payload });
+}
+
+function announce(event, payload) {
+  outbox?.push({ playerId: null, event, payload });
+}
+
+function collect(state, run) {
+  const outer = outbox;
+  outbox = [];
+  try {
+    const reply = run() ?? {};
+    return { state, events: outbox, reply };
+  } finally {
+    outbox = outer;
+  }
+}
+
+// =====================
+// Deck + Values
+// =====================
+const suits = ["S", "H", "D", "C"];
+const ranks = ["A","2","3","4","5","6","7","8","9","10","J","Q","K"];
+
+export function makeDeck() {
+  const deck = [];
+  for (const s of suits) for (const r of ranks) deck.push({ r, s });
+  return deck;
+}
+
+// one deck, so rank and suit name a card wherever it moves
+const sameCard = (a, b) => !!a && !!b && a.r === b.r && a.s === b.s;
+
+function baseValue(card) {
+  if (card.r === "A") return 1;
+  if (card.r === "J") return 11;
+  if (card.r === "Q") return 12;
+  if (card.r === "K") return 13;
+  return parseInt(card.r, 10);
+}
+
+// scoring value: K♥ / K♦ count as rules.redKingValue if held in hand
+function scoreValue(card, rules) {
+  if (card.r === "K" && (card.s === "H" || card.s === "D")) return rules.redKingValue;
+  return baseValue(card);
+}
+
+export function cardView(card, rules) {
+  return { ...card, base: baseValue(card), score: scoreValue(card, rules) };
+}
+
+// =====================
+// Verifiable shuffles
+// =====================
+// Every shuffle is driven by a 32-byte seed. Before the cards are used the
+// server publishes sha256(seed) as a commitment; the seeds are revealed when
+// the round ends. To check a shuffle: sha256(seed) must match the commitment
+// and seededShuffle(input, seed) must give the published order, where input is
+// a fresh makeDeck() for the deal or the center pile (bottom first) for a reshuffle.
+//
+// seededShuffle is Fisher–Yates from the last card down; j for position i is
+// a uniform integer in [0, i] taken from the stream of big-endian uint32 words
+// of HMAC-SHA256(key = seed, message = "0", "1", ...), rejecting words at or
+// above the largest multiple of (i + 1) below 2^32.
+export function seededShuffle(cards, seed) {
+  const a = [...cards];
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+
+  const nextWord = () => {
+    if (offset + 4 > block.length) {
+      block = crypto.createHmac("sha256", seed).update(String(counter++)).digest();
+      offset = 0;
+    }
+    const word = block.readUInt32BE(offset);
+    offset += 4;
+    return word;
+  };
+
+  const randomBelow = (n) => {
+    const limit = 2 ** 32 - (2 ** 32 % n);
+    let word;
+    do word = nextWord(); while (word >= limit);
+    return word % n;
+  };
+
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = randomBelow(i + 1);
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+/**
+ * Shuffle for a room and publish the commitment. Seeded rooms (tests,
+ * tournaments) derive each seed from room.seed, so the same seed always deals
+ * the same game; otherwise seeds are random.
+ */
+function committedShuffle(room, cards, kind) {
+  const n = room.shuffles.length + 1;
+  // a restarted round must not get the deck it was restarted from
+  const round = room.match.restarts ? `${room.match.round}.${room.match.restarts}` : room.match.round;
+  const seed = room.seed
+    ? crypto.createHmac("sha256", room.seed).update(`${round}:${n}`).digest("hex")
+    : crypto.randomBytes(32).toString("hex");
+
+  room.shuffles.push({ n, kind, commitment: sha256(seed), seed, revealed: false });
+  return seededShuffle(cards, seed);
+}
+
+function revealShuffles(room) {
+  if (room.replay) return; // the replayer is handed the orders, not the seeds
+  for (const s of room.shuffles) s.revealed = true;
+  room.log.push(msg("SEEDS_REVEALED", { count: room.shuffles.length }));
+}
+
+function shufflesView(room) {
+  return (room.shuffles || []).map(({ n, kind, commitment, seed, revealed }) => ({
+    n, kind, commitment, seed: revealed ? seed : null
+  }));
+}
+
+// =====================
+// House rules
+// =====================
+const POWER_KINDS = ["peekOwn", "peekOpp", "skip", "unseenSwap", "seenSwap"];
+const TIMER_KEYS = ["peekMs", "drawMs", "decideMs", "powerMs"];
+
+export const RULE_PRESETS = {
+  // what this server has always played
+  house: {
+    caboBelow: 10,          // CABO only with a hand total below this (null = any time)
+    peeks: 2,
+    handSize: 4,
+    redKingValue: -1,
+    drawFrom: ["draw"],
+    powers: { "7": "peekOwn", "8": "peekOwn", "9": "peekOpp", "10": "peekOpp", J: "skip", Q: "unseenSwap", K: "seenSwap" },
+    matchLimit: 100,
+    matchReset: 50,
+    caboPenalty: 10,
+    burnWindowMs: 1_500,    // how long a card on the center collects burn attempts
+    teams: false,           // 2v2, see "Teams"
+    partnerTargets: false,  // with teams: swaps and steal-burns may target a partner
+    timers: { peekMs: 30_000, drawMs: 30_000, decideMs: 45_000, powerMs: 30_000, afkAfter: 3 }
+  },
+  classic: {
+    caboBelow: null,
+    peeks: 2,
+    handSize: 4,
+    redKingValue: -1,
+    drawFrom: ["draw", "discard"],
+    powers: { "7": "peekOwn", "8": "peekOwn", "9": "peekOpp", "10": "peekOpp", J: "unseenSwap", Q: "unseenSwap", K: "seenSwap" },
+    matchLimit: 100,
+    matchReset: 50,
+    caboPenalty: 10,
+    burnWindowMs: 1_500,    // how long a card on the center collects burn attempts
+    teams: false,           // 2v2, see "Teams"
+    partnerTargets: false,  // with teams: swaps and steal-burns may target a partner
+    timers: { peekMs: 30_000, drawMs: 30_000, decideMs: 45_000, powerMs: 30_000, afkAfter: 3 }
+  }
+};
+export const DEFAULT_PRESET = "house";
+
+const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+const RULE_CHECKS = {
+  caboBelow: v => v === null || isInt(v, -10, 60),
+  peeks: v => isInt(v, 0, 6),
+  handSize: v => isInt(v, 2, 6),
+  redKingValue: v => isInt(v, -13, 13),
+  // the center is empty at the deal and timeouts draw blind, so the draw pile stays open
+  drawFrom: v => Array.isArray(v) && v.includes("draw") && v.every(x => ["draw", "discard"].includes(x)),
+  powers: v => v && typeof v === "object" && !Array.isArray(v) &&
+    Object.entries(v).every(([r, k]) => ranks.includes(r) && POWER_KINDS.includes(k)),
+  matchLimit: v => isInt(v, 10, 500),
+  matchReset: v => isInt(v, 0, 500),
+  caboPenalty: v => isInt(v, 0, 100),
+  burnWindowMs: v => isInt(v, 300, 10_000),
+  teams: v => typeof v === "boolean",
+  partnerTargets: v => typeof v === "boolean",
+  // partial: only the listed timers change; a null timer never expires
+  timers: v => v && typeof v === "object" && !Array.isArray(v) &&
+    Object.entries(v).every(([k, ms]) => k === "afkAfter"
+      ? isInt(ms, 1, 50)
+      : TIMER_KEYS.includes(k) && (ms === null || isInt(ms, 3_000, 600_000)))
+};
+
+/**
+ * Build a full rules object from `{ preset, ...overrides }`.
+ * Unknown keys and out-of-range values are rejected rather than ignored.
+ */
+export function resolveRules(input) {
+  const { preset = DEFAULT_PRESET, ...overrides } = input || {};
+  const base = Object.hasOwn(RULE_PRESETS, preset) ? RULE_PRESETS[preset] : null;
+  if (!base) throw new KaboError("UNKNOWN_RULES_PRESET", { preset });
+
+  for (const key of Object.keys(overrides)) {
+    if (!Object.hasOwn(RULE_CHECKS, key)) throw new KaboError("UNKNOWN_RULE", { rule: key });
+    if (!RULE_CHECKS[key](overrides[key])) throw new KaboError("BAD_RULE_VALUE", { rule: key });
+  }
+
+  const rules = { ...structuredClone(base), ...structuredClone(overrides), preset };
+  rules.timers = { ...base.timers, ...overrides.timers };
+  if (rules.peeks > rules.handSize) throw new KaboError("RULE_PEEKS_OVER_HAND");
+  if (rules.matchReset >= rules.matchLimit) throw new KaboError("RULE_RESET_OVER_LIMIT");
+  return rules;
+}
+
+function powerOf(rules, card) {
+  return rules.powers[card.r] ?? null;
+}
+
+function sameRank(a, b) {
+  return a && b && a.r === b.r;
+}
+
+export const MIN_PLAYERS = 2;
+
+/**
+ * If draw pile empty => recycle discard into draw by shuffling.
+ */
+function refillDrawPileIfNeeded(room) {
+  if (room.drawPile.length > 0) return;
+  if (room.discardPile.length === 0) throw new KaboError("NO_CARDS_LEFT");
+  resolveBurnWindow(room); // its card is about to be shuffled away
+  // a penalty card drawn as it resolved may have reshuffled the pile already
+  if (room.drawPile.length > 0) return;
+  if (room.discardPile.length === 0) throw new KaboError("NO_CARDS_LEFT");
+  const pile = room.discardPile.splice(0);
+  forget(room, pile);
+  // a replay re-uses the order the live game got
+  room.drawPile = room.replay ? room.replay.reshuffles.shift() : committedShuffle(room, pile, "reshuffle");
+  recordAction(room, { type: "reshuffle", input: structuredClone(pile), order: structuredClone(room.drawPile), n: room.shuffles?.length });
+  room.log.push(room.replay
+    ? msg("RESHUFFLED")
+    : msg("RESHUFFLED_COMMITTED", { commitment: room.shuffles.at(-1).commitment }));
+}
+
+// =====================
+// Tables + seats
+// =====================
+// A table is everything the game needs of a room; the server adds its own
+// fields (host, spectators, chat, ...) alongside. A seat is { id, name, team,
+// peeksLeft, hand }, plus whatever the deal and the moves keep on it.
+
+export function newTable({ id, rules, seed = null, ranked = false }) {
+  return {
+    id,
+    ranked: !!ranked,
+    rules: resolveRules(rules),
+    players: [],
+    undoPoints: null,
+    undoVote: null,
+    started: false,
+    turnIndex: 0,
+    drawPile: [],
+    discardPile: [],
+    phase: "LOBBY",
+    activeDraw: null,
+    caboCalledBy: null,
+    lastTurnFor: null,
+    skipNextFor: null,
+    pending: null,
+    centerPower: null,
+    burnWindow: null,
+    log: [],
+    ended: null,
+    match: null,
+    history: null,
+    rounds: [],
+    seed: seed ?? null,
+    shuffles: []
+  };
+}
+
+export function newSeat(name, id = crypto.randomBytes(6).toString("hex")) {
+  return {
+    id,
+    name,
+    team: null,
+    peeksLeft: null, // set by the deal, from rules.peeks
+    hand: []
+  };
+}
+
+export function currentTurnPlayer(room) {
+  return room.players[room.turnIndex]?.id ?? null;
+}
+
+function ensureTurn(room, me) {
+  if (room.players[room.turnIndex] !== me) throw new KaboError("NOT_YOUR_TURN");
+}
+
+// Eliminated players keep their seat for the rest of the match but are skipped.
+function nextSeat(room, idx) {
+  const n = room.players.length;
+  for (let step = 1; step <= n; step++) {
+    const i = (idx + step) % n;
+    if (!room.players[i].eliminated) return i;
+  }
+  return idx;
+}
+
+function prevSeat(room, idx) {
+  const n = room.players.length;
+  for (let step = 1; step <= n; step++) {
+    const i = (idx - step + n) % n;
+    if (!room.players[i].eliminated) return i;
+  }
+  return idx;
+}
+
+export function activePlayers(room) {
+  return room.players.filter(p => !p.eliminated);
+}
+
+/**
+ * Resolve the player targeted by a power or steal-burn.
+ * targetId is the target's player id; it may be omitted when there is only one opponent.
+ */
+function resolveTarget(room, meIdx, targetId) {
+  const others = room.players.filter((p, i) => i !== meIdx && !p.eliminated);
+  if (targetId == null) {
+    if (others.length === 1) return others[0];
+    throw new KaboError("CHOOSE_TARGET");
+  }
+  const target = others.find(p => p.id === targetId);
+  if (!target) throw new KaboError("BAD_TARGET_PLAYER");
+  return target;
+}
+
+function computeHandSum(room, playerId) {
+  const p = room.players.find(x => x.id === playerId);
+  if (!p) throw new KaboError("NOT_IN_ROOM");
+  return p.hand.reduce((sum, c) => sum + scoreValue(c, room.rules), 0);
+}
+
+// =====================
+// Teams
+// =====================
+// With rules.teams four players play as two pairs, each picking team A or B in
+// the lobby (p.team). Partners sit opposite, so turns alternate between the
+// teams. A team's round score is both hands together, CABO is judged on that
+// total and partners share one match total. Swaps and steal-burns cannot
+// target a partner unless rules.partnerTargets.
+export const TEAMS = ["A", "B"];
+const TEAM_SIZE = 2;
+
+/** What a player scores for: their team, or just themselves. */
+export function sideOf(room, p) {
+  return room.rules.teams ? p.team : p.id;
+}
+
+function partnerOf(room, p) {
+  return room.rules.teams ? room.players.find(q => q !== p && q.team === p.team) ?? null : null;
+}
+
+function sideHandSum(room, p) {
+  return room.players
+    .filter(q => !q.eliminated && sideOf(room, q) === sideOf(room, p))
+    .reduce((sum, q) => sum + computeHandSum(room, q.id), 0);
+}
+
+function requireNotPartner(room, me, target) {
+  if (!room.rules.partnerTargets && partnerOf(room, me) === target) throw new KaboError("PARTNER_TARGET");
+}
+
+/** Check the lobby's picks and seat partners opposite: A B A B, starting with the first seat's team. */
+function seatTeams(room) {
+  if (room.players.length !== TEAMS.length * TEAM_SIZE) throw new KaboError("TEAM_PLAYER_COUNT", { count: TEAMS.length * TEAM_SIZE });
+  const teams = TEAMS.map(t => room.players.filter(p => p.team === t));
+  if (teams.some(t => t.length !== TEAM_SIZE)) throw new KaboError("TEAM_SIZE", { size: TEAM_SIZE });
+  if (room.players[0].team !== TEAMS[0]) teams.reverse();
+  room.players = [teams[0][0], teams[1][0], teams[0][1], teams[1][1]];
+}
+
+function teamLabel(room, team) {
+  return `Team ${team} (${room.players.filter(p => p.team === team).map(p => p.name).join(" & ")})`;
+}
+
+// =====================
+// Phases
+// =====================
+// phase -> the phases a round may move on to from it. Dealing (PEEK) and going
+// back to the LOBBY are allowed from anywhere: a restart deals mid-round and a
+// player can leave at any time.
+const PHASE_TRANSITIONS = {
+  LOBBY: [],
+  PEEK: ["TURN_DRAW", "ENDED"],
+  TURN_DRAW: ["TURN_DECIDE", "LAST_TURN", "ENDED"],
+  LAST_TURN: ["TURN_DECIDE", "ENDED"],
+  TURN_DECIDE: ["TURN_DRAW", "LAST_TURN", "CENTER_POWER", "ENDED"],
+  CENTER_POWER: ["TURN_DRAW", "LAST_TURN", "ENDED"],
+  ENDED: []
+};
+const ANYTIME_PHASES = ["PEEK", "LOBBY"];
+
+function setPhase(room, next) {
+  if (!ANYTIME_PHASES.includes(next) && !PHASE_TRANSITIONS[room.phase]?.includes(next)) {
+    throw new KaboError("ILLEGAL_PHASE", { from: room.phase, to: next });
+  }
+  room.phase = next;
+}
+
+// =====================
+// Match (multi-round) scoring
+// =====================
+export function newMatch(room) {
+  if (room.players.length < MIN_PLAYERS) throw new KaboError("NOT_ENOUGH_PLAYERS", { min: MIN_PLAYERS });
+  if (room.rules.teams) seatTeams(room);
+  for (const p of room.players) p.eliminated = false;
+  room.match = {
+    round: 0,
+    totals: Object.fromEntries(room.players.map(p => [p.id, 0])),
+    starterId: null,
+    history: [],
+    over: false,
+    winnerId: null,
+    winnerTeam: null
+  };
+}
+
+/**
+ * Deals the next round of the current match. The starting seat rotates to the
+ * next player still in the match; a restart deals the same round again, from
+ * the same seat, with a fresh shuffle.
+ */
+export function startGame(room, { restart = false } = {}) {
+  const match = room.match;
+  if (!match) throw new KaboError("NO_MATCH");
+  if (match.over) throw new KaboError("MATCH_OVER");
+  if (activePlayers(room).length < MIN_PLAYERS) throw new KaboError("NOT_ENOUGH_PLAYERS", { min: MIN_PLAYERS });
+
+  const prevStarter = room.players.findIndex(p => p.id === match.starterId);
+  let starter = prevStarter;
+  if (!restart) {
+    starter = prevStarter < 0
+      ? room.players.findIndex(p => !p.eliminated)
+      : nextSeat(room, prevStarter);
+    match.starterId = room.players[starter].id;
+    match.round += 1;
+  }
+  match.restarts = restart ? (match.restarts || 0) + 1 : 0;
+
+  room.shuffles = [];
+  const deck = committedShuffle(room, makeDeck(), "deal");
+
+  beginRoundHistory(room, deck, starter);
+  dealRound(room, deck, starter);
+  room.log.push(msg("DECK_COMMITMENT", { commitment: room.shuffles[0].commitment }));
+}
+
+/** Everything about a fresh round that follows from the shuffled deck; shared with the replayer. */
+function dealRound(room, deck, starter) {
+  for (const p of room.players) {
+    p.hand = p.eliminated ? [] : deck.splice(-room.rules.handSize);
+    p.peeksLeft = p.eliminated ? 0 : room.rules.peeks;
+    p.peeked = [];
+    p.known = [];
+    p.tally = newTally();
+  }
+
+  room.drawPile = deck;
+  room.discardPile = [];
+  room.started = true;
+  room.turnIndex = starter;
+  room.turnSeq = 0;
+  setPhase(room, "PEEK");
+  room.activeDraw = null;
+  room.caboCalledBy = null;
+  room.lastTurnFor = null;
+  room.skipNextFor = null;
+  room.pending = null;
+  room.log = [msg("ROUND_STARTED", { round: room.match.round, peeks: room.rules.peeks })];
+  room.ended = null;
+  room.centerPower = null;
+  room.burnWindow = null;
+  room.burnWindowSeq = 0;
+  room.undoPoints = null;
+  room.undoVote = null;
+
+  if (room.rules.peeks === 0) {
+    setPhase(room, "TURN_DRAW");
+    room.log.push(msg("TURN", { name: room.players[room.turnIndex].name }));
+  }
+}
+
+function scores(room) {
+  const s = activePlayers(room).map(p => ({
+    id: p.id,
+    name: p.name,
+    score: p.hand.reduce((sum, c) => sum + scoreValue(c, room.rules), 0)
+  }));
+  // teams: everyone scores their team's total, their own hand stays alongside
+  if (room.rules.teams) {
+    for (const entry of s) {
+      const p = room.players.find(x => x.id === entry.id);
+      Object.assign(entry, { team: p.team, hand: entry.score, score: sideHandSum(room, p) });
+    }
+  }
+  s.sort((a,b)=>a.score-b.score);
+  return { scores: s, winnerName: room.rules.teams ? teamLabel(room, s[0].team) : s[0].name };
+}
+
+/**
+ * Adds a finished round to the match totals:
+ * - CABO caller without the (shared) lowest hand takes rules.caboPenalty on top
+ *   (with teams: the caller's team, without the lowest team total)
+ * - a total of exactly rules.matchLimit drops back to rules.matchReset
+ * - a total above rules.matchLimit eliminates the player
+ * The match ends when at most one player is left (lowest total if nobody is).
+ */
+function applyMatchScores(room, result) {
+  const match = room.match;
+  const { matchLimit, matchReset, caboPenalty } = room.rules;
+  const lowest = result.scores[0].score;
+
+  for (const entry of result.scores) {
+    const caller = room.players.find(p => p.id === room.caboCalledBy);
+    const p = room.players.find(x => x.id === entry.id);
+    entry.penalty = caller && sideOf(room, p) === sideOf(room, caller) && entry.score > lowest ? caboPenalty : 0;
+    let total = match.totals[entry.id] + entry.score + entry.penalty;
+
+    if (entry.penalty && p === caller) {
+      room.log.push(msg(room.rules.teams ? "CABO_PENALTY_TEAM" : "CABO_PENALTY", { name: entry.name, penalty: caboPenalty }));
+    }
+    if (total === matchLimit) {
+      total = matchReset;
+      room.log.push(msg("MATCH_RESET", { name: entry.name, limit: matchLimit, reset: matchReset }));
+    }
+
+    match.totals[entry.id] = total;
+    entry.total = total;
+    entry.eliminated = total > matchLimit;
+    if (entry.eliminated) {
+      room.players.find(p => p.id === entry.id).eliminated = true;
+      room.log.push(msg("ELIMINATED_AT", { name: entry.name, total }));
+    }
+  }
+
+  match.history.push({ round: match.round, scores: result.scores });
+
+  const left = activePlayers(room);
+  if (new Set(left.map(p => sideOf(room, p))).size <= 1) {
+    const winner = left[0] ?? [...room.players].sort((a, b) => match.totals[a.id] - match.totals[b.id])[0];
+    match.over = true;
+    match.winnerId = winner.id;
+    match.winnerTeam = room.rules.teams ? winner.team : null;
+    const name = room.rules.teams ? teamLabel(room, winner.team) : winner.name;
+    room.log.push(msg("MATCH_WON", { name, total: match.totals[winner.id] }));
+  }
+}
+
+function endRound(room) {
+  resolveBurnWindow(room);
+  clearUndo(room);
+  setPhase(room, "ENDED");
+  room.ended = scores(room);
+  room.log.push(msg("ROUND_ENDED", { winner: room.ended.winnerName }));
+  applyMatchScores(room, room.ended);
+  revealShuffles(room);
+  finishRoundHistory(room);
+}
+
+/**
+ * After CABO, lastTurnFor is the seat just before the caller: once they have
+ * played (or been skipped) the round ends instead of coming back to the caller.
+ */
+function advanceTurn(room) {
+  if (room.lastTurnFor && currentTurnPlayer(room) === room.lastTurnFor) {
+    endRound(room);
+    return;
+  }
+
+  room.turnIndex = nextSeat(room, room.turnIndex);
+
+  const nextSock = currentTurnPlayer(room);
+  if (room.skipNextFor && room.skipNextFor === nextSock) {
+    room.log.push(msg("SKIPPED", { name: room.players[room.turnIndex].name }));
+    room.skipNextFor = null;
+    if (nextSock === room.lastTurnFor) {
+      endRound(room);
+      return;
+    }
+    room.turnIndex = nextSeat(room, room.turnIndex);
+  }
+
+  if (room.caboCalledBy && currentTurnPlayer(room) === room.caboCalledBy) {
+    endRound(room);
+    return;
+  }
+
+  setPhase(room, room.caboCalledBy ? "LAST_TURN" : "TURN_DRAW");
+  room.turnSeq += 1;
+  room.activeDraw = null;
+  room.pending = null;
+  room.log.push(msg("TURN", { name: room.players[room.turnIndex].name }));
+}
+
+function maybeEnterCenterPower(room, ownerId, cardJustPlacedOnCenter) {
+  if (!powerOf(room.rules, cardJustPlacedOnCenter)) return false;
+
+  room.centerPower = { card: cardJustPlacedOnCenter, ownerId };
+  setPhase(room, "CENTER_POWER");
+
+  tell(room, ownerId, "center:powerAvailable", {
+    card: cardView(cardJustPlacedOnCenter, room.rules)
+  });
+
+  room.log.push(msg("CENTER_POWER_AVAILABLE", { name: room.players.find(p => p.id === ownerId)?.name }));
+  return true;
+}
+
+/** End the round in progress as the hands lie. */
+export function closeRound(state) {
+  return collect(state, () => endRound(state));
+}
+
+/** Someone left mid-match: the match is over and the table waits in the lobby again. */
+export function backToLobby(room) {
+  room.started = false;
+  setPhase(room, "LOBBY");
+  room.drawPile = [];
+  room.discardPile = [];
+  room.activeDraw = null;
+  room.caboCalledBy = null;
+  room.lastTurnFor = null;
+  room.skipNextFor = null;
+  room.pending = null;
+  room.centerPower = null;
+  room.burnWindow = null;
+  clearUndo(room);
+  room.ended = null;
+  room.match = null;
+  room.history = null;
+  room.log.push(msg("BACK_TO_LOBBY"));
+}
+
+// =====================
+// Tallies
+// =====================
+// Per-round counters on each seat (p.tally) for what the round result alone
+// does not show; the server books them to the seated accounts when a round ends.
+function newTally() {
+  return { burnsHit: 0, burnsMissed: 0, powers: {} };
+}
+
+export function tallyOf(p) {
+  return (p.tally ??= newTally());
+}
+
+// =====================
+// Known cards
+// =====================
+// What each seat has legitimately seen, kept per card (p.known: card keys) rather
+// than per slot. Every move at the table shows which slots it touches, so a seen
+// card stays known wherever swaps, steals and gifts take it, while a card the
+// player never saw (a penalty, a gift they were handed) stays unknown. Cards are
+// forgotten by everyone once they are shuffled back into the draw pile.
+const cardKey = (c) => `${c.r}${c.s}`;
+
+function learn(p, ...cards) {
+  const known = (p.known ??= []);
+  for (const key of cards.map(cardKey)) if (!known.includes(key)) known.push(key);
+}
+
+function forget(room, cards) {
+  const keys = new Set(cards.map(cardKey));
+  for (const p of room.players) if (p.known) p.known = p.known.filter(k => !keys.has(k));
+}
+
+/** Every slot at the table `viewer` knows: [{ playerId, index, card }]. */
+function knownCards(room, viewer) {
+  const known = new Set(viewer.known ?? []);
+  return room.players.flatMap(p => p.hand.flatMap((c, index) =>
+    known.has(cardKey(c)) ? [{ playerId: p.id, index, card: cardView(c, room.rules) }] : []));
+}
+
+// =====================
+// Table view
+// =====================
+// What one seat (viewerId) or a spectator (null) may see of the table: hands stay
+// face down until the round ends. Log lines go out as { code, params, text } with
+// text in `locale`; clients with their own catalogue can ignore it and render the code.
+export function tableView(room, viewerId, locale = DEFAULT_LOCALE) {
+  const viewer = room.players.find(p => p.id === viewerId);
+  const players = room.players.map(p => ({
+    id: p.id,
+    name: p.name,
+    peeksLeft: p.peeksLeft,
+    hand: room.phase === "ENDED"
+      ? p.hand.map(c => cardView(c, room.rules))
+      : p.hand.map(() => null),
+    handCount: p.hand.length,
+    total: room.match?.totals[p.id] ?? 0,
+    eliminated: !!p.eliminated,
+    team: p.team ?? null,
+    afk: !!p.afk,
+    isMe: p.id === viewerId
+  }));
+
+  const top = room.discardPile.at(-1) || null;
+
+  return {
+    rules: room.rules,
+    started: room.started,
+    phase: room.phase,
+    players,
+    turnPlayerId: room.started ? currentTurnPlayer(room) : null,
+    undoVote: room.undoVote ?? null,
+    drawCount: room.drawPile.length,
+    discardCount: room.discardPile.length,
+    discardTop: top ? cardView(top, room.rules) : null,
+    caboCalledBy: room.caboCalledBy,
+    lastTurnFor: room.lastTurnFor,
+    // stays on through the TURN_DECIDE and CENTER_POWER steps of a last turn
+    lastTurn: !!room.caboCalledBy && room.started && room.phase !== "ENDED",
+    // only ever the viewer's own knowledge
+    known: viewer ? knownCards(room, viewer) : null,
+    // who already tried this window; their picks stay hidden until it resolves
+    burnWindow: room.burnWindow
+      ? { id: room.burnWindow.id, closesAt: room.burnWindow.closesAt, attempted: room.burnWindow.attempts.map(a => a.playerId) }
+      : null,
+    seeded: !!room.seed,
+    shuffles: shufflesView(room),
+    log: room.log.slice(-14).map(line => logView(line, locale)),
+    logStart: Math.max(room.log.length - 14, 0), // index of log[0] in the round log, for chat reactions
+    ended: room.ended || null,
+    match: room.match
+      ? {
+          round: room.match.round,
+          limit: room.rules.matchLimit,
+          over: room.match.over,
+          winnerId: room.match.winnerId,
+          winnerTeam: room.match.winnerTeam ?? null,
+          history: room.match.history
+        }
+      : null
+  };
+}
+
+// =====================
+// Take-backs
+// =====================
+// Before each move a player makes, the round state is copied into
+// room.undoPoints[playerId]. In casual rooms that player may ask to take the
+// move back (requestUndo); once every other person still in the match agrees
+// (answerUndo, bots always do) the round goes back to that copy, undoing
+// whatever happened since. A point is spoiled for good once a hidden card is
+// shown to anyone, its own player included, or someone else tries a burn; the
+// end of the round drops them all.
+const UNDO_ROOM_KEYS = [
+  "phase", "turnIndex", "turnSeq", "drawPile", "discardPile", "activeDraw", "caboCalledBy", "lastTurnFor",
+  "skipNextFor", "pending", "centerPower", "burnWindow", "burnWindowSeq", "shuffles", "log"
+];
+const UNDO_PLAYER_KEYS = ["hand", "peeksLeft", "peeked", "known", "tally", "bot"];
+// private events that show someone a card they could not see before
+const HIDDEN_REVEALS = ["peek:result", "turn:drawResult", "power:reveal", "king:preview", "burn:revealWrong"];
+
+const pick = (obj, keys) => Object.fromEntries(keys.map(k => [k, obj[k]]));
+
+/** Copy the round state before `p` makes `event`. */
+function saveUndoPoint(room, p, event) {
+  if (room.ranked || room.replay || !room.started) return;
+  (room.undoPoints ??= {})[p.id] = {
+    event,
+    actions: room.history?.actions.length ?? 0,
+    blocked: null,
+    state: structuredClone({
+      room: pick(room, UNDO_ROOM_KEYS),
+      players: Object.fromEntries(room.players.map(q => [q.id, pick(q, UNDO_PLAYER_KEYS)]))
+    })
+  };
+}
+
+/**
+ * Something only `playerId` may know about happened: nobody else can take their
+ * move back. With no `playerId` nobody at all can.
+ */
+function blockUndo(room, playerId, reason) {
+  for (const [id, point] of Object.entries(room.undoPoints ?? {})) {
+    if (id !== playerId && !point.blocked) point.blocked = reason;
+  }
+  if (room.undoVote && room.undoVote.by !== playerId) cancelUndoVote(room, reason);
+}
+
+function cancelUndoVote(room, reason) {
+  room.undoVote = null;
+  room.log.push(msg("UNDO_CANCELLED", { reason }));
+}
+
+function clearUndo(room) {
+  room.undoPoints = null;
+  room.undoVote = null;
+}
+
+function undoVoters(room, requester) {
+  return activePlayers(room).filter(p => !p.bot && p !== requester);
+}
+
+/** The point `p` could take back right now; throws why not otherwise. */
+function undoPointOf(room, p) {
+  if (room.ranked) throw new KaboError("UNDO_RANKED");
+  if (!room.started || room.phase === "ENDED") throw new KaboError("NO_ROUND");
+  const point = room.undoPoints?.[p.id];
+  if (!point) throw new KaboError("UNDO_NOTHING");
+  if (point.blocked) throw new KaboError("UNDO_TOO_LATE", { reason: point.blocked });
+  return point;
+}
+
+export function requestUndo(room, p) {
+  const point = undoPointOf(room, p);
+  if (room.undoVote) throw new KaboError("UNDO_PENDING");
+  room.undoVote = { by: p.id, event: point.event, accepted: [] };
+  room.log.push(msg("UNDO_REQUESTED", { name: p.name }));
+  if (undoVoters(room, p).length === 0) takeBack(room, p);
+}
+
+export function answerUndo(room, p, accept) {
+  const vote = room.undoVote;
+  if (!vote) throw new KaboError("UNDO_NOT_ASKED");
+  if (vote.by === p.id) throw new KaboError("UNDO_OWN_REQUEST");
+  if (p.eliminated) throw new KaboError("ELIMINATED");
+  if (!accept) return cancelUndoVote(room, msg("UNDO_DECLINED", { name: p.name }));
+
+  if (!vote.accepted.includes(p.id)) vote.accepted.push(p.id);
+  const requester = room.players.find(x => x.id === vote.by);
+  if (undoVoters(room, requester).every(x => vote.accepted.includes(x.id))) takeBack(room, requester);
+}
+
+function takeBack(room, p) {
+  const point = undoPointOf(room, p);
+  Object.assign(room, structuredClone(point.state.room));
+  for (const q of room.players) Object.assign(q, structuredClone(point.state.players[q.id]));
+  if (room.history) room.history.actions.length = point.actions;
+  // the turn timer and an open burn window start over
+  room.deadline = null;
+  if (room.burnWindow) room.burnWindow.closesAt = Date.now() + room.rules.burnWindowMs;
+  clearUndo(room);
+  room.log.push(msg("UNDO_DONE", { name: p.name }));
+}
+
+/**
+ * A rejoining seat missed the one-shot private events for the step it was in
+ * the middle of; they come back as events so the client can carry on.
+ */
+export function resendPrivateState(state, playerId) {
+  return collect(state, () => {
+    const room = state;
+    const isTurn = room.started && currentTurnPlayer(room) === playerId;
+
+    if (isTurn && room.activeDraw) {
+      resend(playerId, "turn:drawResult", {
+        card: cardView(room.activeDraw.card, room.rules),
+        power: room.activeDraw.source === "draw" ? powerOf(room.rules, room.activeDraw.card) : null
+      });
+    }
+
+    if (isTurn && room.pending?.type === "KING_CONFIRM" && room.pending.playerId === playerId) {
+      const { opp, myIndex, oppIndex } = kingSlots(room, room.pending);
+      resend(playerId, "king:preview", {
+        myIndex,
+        targetId: opp.id,
+        oppIndex,
+        myCard: cardView(room.pending.myCard, room.rules),
+        oppCard: cardView(room.pending.oppCard, room.rules)
+      });
+    }
+
+    if (room.phase === "CENTER_POWER" && room.centerPower?.ownerId === playerId) {
+      resend(playerId, "center:powerAvailable", { card: cardView(room.centerPower.card, room.rules) });
+    }
+  });
+}
+
+// =====================
+// Game actions
+// =====================
+// Every in-game move is an entry here: (room, me, payload) => extra callback fields.
+// Players, turn timers and the replayer all go through perform, so a move made
+// on a player's behalf follows exactly the same rules as one they make themselves.
+
+function requireCenterPower(room, me) {
+  if (room.phase !== "CENTER_POWER") throw new KaboError("NOT_CENTER_POWER_PHASE");
+  if (!room.centerPower) throw new KaboError("NO_CENTER_POWER");
+  if (room.centerPower.ownerId !== me.id) throw new KaboError("NOT_YOUR_CENTER_POWER");
+  return room.centerPower.card;
+}
+
+function requireDecide(room, me) {
+  ensureTurn(room, me);
+  if (room.phase !== "TURN_DECIDE") throw new KaboError("NOT_DECIDE_PHASE");
+  if (!room.activeDraw) throw new KaboError("NO_DRAWN_CARD");
+}
+
+/** Played card lands in the center; either open its center power or move on. */
+function finishPlay(room, me, played) {
+  if (!maybeEnterCenterPower(room, me.id, played)) advanceTurn(room);
+}
+
+/** A card taken from the center goes straight back where it came from. */
+function returnCenterCard(room, me) {
+  toCenter(room, room.activeDraw.card);
+  room.activeDraw = null;
+  room.log.push(msg("CENTER_CARD_BACK", { name: me.name }));
+  advanceTurn(room);
+}
+
+const gameActions = {
+  // Peek (dynamic index)
+  "game:peek": (room, me, { index }) => {
+    if (room.phase !== "PEEK") throw new KaboError("PEEK_PHASE_OVER");
+    if (me.peeksLeft <= 0) throw new KaboError("NO_PEEKS_LEFT");
+    if (index < 0 || index >= me.hand.length) throw new KaboError("BAD_INDEX");
+
+    me.peeksLeft -= 1;
+    me.peeked.push(index);
+    learn(me, me.hand[index]);
+
+    tell(room, me.id, "peek:result", {
+      index,
+      card: cardView(me.hand[index], room.rules),
+      peeksLeft: me.peeksLeft
+    });
+
+    room.log.push(msg("PEEKED", { name: me.name }));
+    if (room.players.every(x => x.peeksLeft === 0)) {
+      setPhase(room, "TURN_DRAW");
+      room.log.push(msg("PEEKS_DONE", { name: room.players[room.turnIndex].name }));
+    }
+  },
+
+  "turn:take": (room, me, { source }) => {
+    if (!["TURN_DRAW","LAST_TURN"].includes(room.phase)) throw new KaboError("NOT_DRAW_PHASE");
+    ensureTurn(room, me);
+    if (room.activeDraw) throw new KaboError("ALREADY_DREW");
+    if (room.pending) throw new KaboError("PENDING_ACTION");
+    const from = source || "draw";
+    if (!room.rules.drawFrom.includes(from)) {
+      throw room.rules.drawFrom.length === 1
+      ? new KaboError("DRAW_SOURCE_RULE", { source: msg(`PILE_${room.rules.drawFrom[0].toUpperCase()}`) })
+      : new KaboError("BAD_SOURCE");
+    }
+
+    let card;
+    if (from === "discard") {
+      resolveBurnWindow(room); // burns on the card being taken still count
+      card = room.discardPile.pop();
+      if (!card) throw new KaboError("CENTER_EMPTY");
+    } else {
+      refillDrawPileIfNeeded(room);
+      card = room.drawPile.pop();
+    }
+
+    room.activeDraw = { card, source: from };
+    setPhase(room, "TURN_DECIDE");
+    // a card taken from the center was face up for everyone
+    for (const p of from === "discard" ? room.players : [me]) learn(p, card);
+    room.log.push(from === "discard"
+      ? msg("TOOK_CENTER", { name: me.name, rank: card.r })
+      : msg("DREW", { name: me.name }));
+
+    tell(room, me.id, "turn:drawResult", {
+      card: cardView(card, room.rules),
+      // powers only come from the draw pile
+      power: from === "draw" ? powerOf(room.rules, card) : null
+    });
+  },
+
+  // Swap drawn into hand -> old card goes to center (discard pile)
+  "turn:swap": (room, me, { handIndex }) => {
+    requireDecide(room, me);
+    if (room.pending) throw new KaboError("PENDING_ACTION");
+    if (handIndex < 0 || handIndex >= me.hand.length) throw new KaboError("BAD_INDEX");
+
+    const old = me.hand[handIndex];
+    me.hand[handIndex] = room.activeDraw.card;
+    toCenter(room, old);
+    room.activeDraw = null;
+
+    room.log.push(msg("SWAPPED", { name: me.name }));
+    finishPlay(room, me, old);
+  },
+
+  // Discard drawn -> center pile
+  "turn:discardDrawn": (room, me) => {
+    requireDecide(room, me);
+    if (room.pending) throw new KaboError("PENDING_ACTION");
+    if (room.activeDraw.source === "discard") {
+      // burns can leave a hand empty, and then there is nothing to swap it for
+      if (me.hand.length > 0) throw new KaboError("CENTER_CARD_MUST_SWAP");
+      returnCenterCard(room, me);
+      return;
+    }
+
+    const played = room.activeDraw.card;
+    toCenter(room, played);
+    room.activeDraw = null;
+
+    room.log.push(msg("PLAYED_DRAWN", { name: me.name }));
+    finishPlay(room, me, played);
+  },
+
+  // CABO (below rules.caboBelow)
+  "turn:cabo": (room, me) => {
+    if (room.phase !== "TURN_DRAW") throw new KaboError("CABO_TURN_START");
+    ensureTurn(room, me);
+
+    const sum = sideHandSum(room, me);
+    const limit = room.rules.caboBelow;
+    if (limit !== null && sum >= limit) {
+      throw new KaboError(room.rules.teams ? "CABO_TEAM_THRESHOLD" : "CABO_THRESHOLD", { sum, limit });
+    }
+
+    const meIdx = room.turnIndex;
+    const n = activePlayers(room).length;
+    room.caboCalledBy = me.id;
+    room.lastTurnFor = room.players[prevSeat(room, meIdx)].id;
+
+    room.log.push(n === 2
+      ? msg("CABO_CALLED_HEADS_UP", { name: me.name, next: room.players[nextSeat(room, meIdx)].name })
+      : msg("CABO_CALLED", { name: me.name }));
+    advanceTurn(room);
+  },
+
+  // Burning (not in PEEK/ENDED): queued in the burn window, see "Burn windows"
+  "burn:attempt": (room, burner, { target, targetId, index, giveIndex, at }) => {
+    if (["LOBBY","PEEK","ENDED"].includes(room.phase)) {
+      throw new KaboError("BURN_NOT_NOW");
+    }
+    if (!room.discardPile.at(-1)) throw new KaboError("BURN_CENTER_EMPTY");
+    if (burner.eliminated) throw new KaboError("BURN_ELIMINATED");
+
+    if (room.burnWindow?.attempts.some(a => a.playerId === burner.id)) throw new KaboError("BURN_ALREADY_TRIED");
+
+    const victim = target === "self" ? burner : target === "opp" ? resolveTarget(room, room.players.indexOf(burner), targetId) : null;
+    if (!victim) throw new KaboError("BURN_BAD_TARGET");
+    if (target === "opp") requireNotPartner(room, burner, victim);
+    if (index < 0 || index >= victim.hand.length) throw new KaboError(target === "self" ? "BURN_BAD_INDEX" : "BURN_BAD_OPP_INDEX");
+    if (target === "opp" && !(giveIndex >= 0 && giveIndex < burner.hand.length)) throw new KaboError("BURN_CHOOSE_GIFT");
+
+    // a rejected attempt must not open a window
+    const window = room.burnWindow ?? openBurnWindow(room);
+    blockUndo(room, burner.id, msg("UNDO_BLOCKED_BURN"));
+    window.attempts.push({
+      playerId: burner.id,
+      target,
+      targetId: victim.id,
+      card: victim.hand[index],
+      gift: target === "opp" ? burner.hand[giveIndex] : null,
+      at
+    });
+    return { windowId: window.id, closesAt: window.closesAt };
+  },
+
+  // Power cards played to the center can be used or passed up
+  "centerPower:skip": (room, me) => {
+    if (room.phase !== "CENTER_POWER") throw new KaboError("NO_CENTER_POWER_TO_SKIP");
+    if (!room.centerPower || room.centerPower.ownerId !== me.id) throw new KaboError("NOT_YOUR_CENTER_POWER");
+    if (room.pending) throw new KaboError("PENDING_ACTION");
+
+    room.centerPower = null;
+    room.log.push(msg("CENTER_POWER_SKIPPED"));
+    advanceTurn(room);
+  }
+};
+
+// =====================
+// Power engine
+// =====================
+// A power card works the same whether it is used straight from the draw pile
+// ("draw": instead of keeping it, the card then goes to the center) or after it
+// was played to the center ("center", during CENTER_POWER). What it does depends
+// only on powerOf(rules, card). The King's seen swap is two steps from either
+// source: a preview of both cards (room.pending), then confirm or cancel. The
+// preview holds the cards, not their slots: a burn window that resolves in
+// between can move them, and a card that has left its hand calls the swap off.
+// Powers never come from burned cards or cards taken from the center.
+
+// power kind -> message code for its name
+const POWER_LABELS = {
+  peekOwn: "POWER_PEEK_OWN",
+  peekOpp: "POWER_PEEK_OPP",
+  skip: "POWER_SKIP",
+  unseenSwap: "POWER_UNSEEN_SWAP",
+  seenSwap: "POWER_SEEN_SWAP"
+};
+
+// event names per power, shared by power:* and centerPower:*
+const POWER_EVENTS = {
+  peekOwn: "peekOwn",
+  peekOpp: "peekOpp",
+  skip: "jackSkip",
+  unseenSwap: "queenUnseenSwap",
+  seenSwap: "kingPreview"
+};
+
+/** The card `me` may use a power from right now; throws unless it has power `kind`. */
+function claimPower(room, me, source, kind) {
+  let card;
+  if (source === "draw") {
+    requireDecide(room, me);
+    if (room.activeDraw.source !== "draw") throw new KaboError("POWER_DRAW_PILE_ONLY");
+    card = room.activeDraw.card;
+  } else {
+    ensureTurn(room, me);
+    card = requireCenterPower(room, me);
+  }
+  if (powerOf(room.rules, card) !== kind) throw new KaboError("NO_SUCH_POWER", { rank: card.r, power: msg(POWER_LABELS[kind]) });
+  return card;
+}
+
+function spendPower(room, me, source, card, detail) {
+  if (source === "draw") {
+    toCenter(room, card);
+    room.activeDraw = null;
+  } else {
+    room.centerPower = null;
+  }
+  room.pending = null;
+  const powers = tallyOf(me).powers;
+  const kind = powerOf(room.rules, card);
+  powers[kind] = (powers[kind] || 0) + 1;
+  room.log.push(msg(source === "center" ? "USED_CENTER_POWER" : "USED_POWER", { name: me.name, rank: card.r, detail }));
+  advanceTurn(room);
+}
+
+function swapHandCards(a, i, b, j) {
+  [a.hand[i], b.hand[j]] = [b.hand[j], a.hand[i]];
+}
+
+/** Where a King's previewed cards sit now; an index is -1 once its card has left that hand. */
+function kingSlots(room, pending) {
+  const me = room.players.find(x => x.id === pending.playerId);
+  const opp = room.players.find(x => x.id === pending.targetId);
+  return {
+    opp,
+    myIndex: me.hand.findIndex(c => sameCard(c, pending.myCard)),
+    oppIndex: opp.hand.findIndex(c => sameCard(c, pending.oppCard))
+  };
+}
+
+/** Opponent and both indices for a swap power. */
+function swapTargets(room, me, { myIndex, targetId, oppIndex }) {
+  const opp = resolveTarget(room, room.turnIndex, targetId);
+  requireNotPartner(room, me, opp);
+  if (myIndex < 0 || myIndex >= me.hand.length) throw new KaboError("BAD_MY_INDEX");
+  if (oppIndex < 0 || oppIndex >= opp.hand.length) throw new KaboError("BAD_OPP_INDEX");
+  return opp;
+}
+
+const powerEffects = {
+  peekOwn: (room, me, card, source, { handIndex }) => {
+    if (handIndex < 0 || handIndex >= me.hand.length) throw new KaboError("BAD_INDEX");
+    learn(me, me.hand[handIndex]);
+    tell(room, me.id, "power:reveal", {
+      kind: "own",
+      index: handIndex,
+      card: cardView(me.hand[handIndex], room.rules)
+    });
+    spendPower(room, me, source, card, msg(POWER_LABELS.peekOwn));
+  },
+
+  peekOpp: (room, me, card, source, { targetId, oppIndex }) => {
+    const opp = resolveTarget(room, room.turnIndex, targetId);
+    if (oppIndex < 0 || oppIndex >= opp.hand.length) throw new KaboError("BAD_INDEX");
+    learn(me, opp.hand[oppIndex]);
+    tell(room, me.id, "power:reveal", {
+      kind: "opp",
+      targetId: opp.id,
+      index: oppIndex,
+      card: cardView(opp.hand[oppIndex], room.rules)
+    });
+    spendPower(room, me, source, card, msg("DETAIL_PEEK", { name: opp.name }));
+  },
+
+  skip: (room, me, card, source) => {
+    const next = room.players[nextSeat(room, room.turnIndex)];
+    room.skipNextFor = next.id;
+    spendPower(room, me, source, card, msg("DETAIL_SKIP", { name: next.name }));
+  },
+
+  unseenSwap: (room, me, card, source, payload) => {
+    const opp = swapTargets(room, me, payload);
+    swapHandCards(me, payload.myIndex, opp, payload.oppIndex);
+    spendPower(room, me, source, card, msg("DETAIL_UNSEEN_SWAP", { name: opp.name }));
+  },
+
+  seenSwap: (room, me, card, source, payload) => {
+    const opp = swapTargets(room, me, payload);
+    const { myIndex, oppIndex } = payload;
+    room.pending = {
+      type: "KING_CONFIRM",
+      playerId: me.id,
+      source,
+      targetId: opp.id,
+      myCard: me.hand[myIndex],
+      oppCard: opp.hand[oppIndex]
+    };
+    learn(me, me.hand[myIndex], opp.hand[oppIndex]);
+
+    tell(room, me.id, "king:preview", {
+      myIndex,
+      targetId: opp.id,
+      oppIndex,
+      myCard: cardView(me.hand[myIndex], room.rules),
+      oppCard: cardView(opp.hand[oppIndex], room.rules)
+    });
+  }
+};
+
+function usePower(room, me, source, kind, payload) {
+  if (room.pending) throw new KaboError("PENDING_ACTION");
+  const card = claimPower(room, me, source, kind);
+  powerEffects[kind](room, me, card, source, payload);
+}
+
+function confirmSeenSwap(room, me, source, confirm) {
+  const pending = room.pending;
+  if (pending?.type !== "KING_CONFIRM" || (pending.source ?? "draw") !== source) throw new KaboError("NO_PENDING_KING");
+  if (pending.playerId !== me.id) throw new KaboError("NOT_YOUR_PENDING");
+  const card = claimPower(room, me, source, "seenSwap");
+
+  const opp = resolveTarget(room, room.turnIndex, pending.targetId);
+  // burns queued while the King waited came first, so they are judged before its swap
+  resolveBurnWindow(room);
+  const { myIndex, oppIndex } = kingSlots(room, pending);
+  let detail = msg("DETAIL_SEEN_SWAP_CANCELLED");
+  if (confirm && (myIndex < 0 || oppIndex < 0)) {
+    detail = msg("DETAIL_SEEN_SWAP_GONE");
+  } else if (confirm) {
+    swapHandCards(me, myIndex, opp, oppIndex);
+    detail = msg("DETAIL_SEEN_SWAP", { name: opp.name });
+  }
+  spendPower(room, me, source, card, detail);
+}
+
+for (const [prefix, source] of [["power", "draw"], ["centerPower", "center"]]) {
+  for (const [kind, name] of Object.entries(POWER_EVENTS)) {
+    gameActions[`${prefix}:${name}`] = (room, me, payload) => usePower(room, me, source, kind, payload);
+  }
+  gameActions[`${prefix}:kingConfirm`] = (room, me, { confirm }) => confirmSeenSwap(room, me, source, !!confirm);
+}
+
+/** Every move a player can make, by event name. */
+export const ACTIONS = Object.keys(gameActions);
+
+// =====================
+// Burn windows
+// =====================
+// Every card played to the center opens a window of rules.burnWindowMs. Burn
+// attempts made while it is open are only queued; when it closes they are judged
+// together against the card that opened it, in order of arrival (the `at` each
+// attempt came with). Each attempt whose chosen card still sits where it was
+// picked scores or draws a penalty; one whose card an earlier attempt already
+// took is void. A new card landing, a take from the center or the end of the
+// round closes the open window first; otherwise the server calls closeBurnWindow
+// at burnWindow.closesAt, recorded as a "burnResolve" action so replays close
+// windows at the same point.
+
+/** Put a played card on the center pile; it opens a new burn window. */
+function toCenter(room, card) {
+  resolveBurnWindow(room);
+  room.discardPile.push(card);
+  openBurnWindow(room);
+}
+
+function openBurnWindow(room) {
+  room.burnWindowSeq = (room.burnWindowSeq || 0) + 1;
+  room.burnWindow = {
+    id: room.burnWindowSeq,
+    card: room.discardPile.at(-1),
+    closesAt: Date.now() + room.rules.burnWindowMs,
+    attempts: []
+  };
+  return room.burnWindow;
+}
+
+function burnHit(room, burner, victim, a, index) {
+  victim.hand.splice(index, 1);
+  room.discardPile.push(a.card);
+  tallyOf(burner).burnsHit += 1;
+  if (a.target === "self") {
+    room.log.push(msg("BURNED", { name: burner.name }));
+    return { result: "BURN_OK" };
+  }
+
+  // burner gives one of their cards to victim (face down): the one they picked if it is still theirs
+  let giveIndex = burner.hand.findIndex(c => sameCard(c, a.gift));
+  if (giveIndex < 0) giveIndex = burner.hand.length - 1;
+  if (giveIndex >= 0) victim.hand.push(burner.hand.splice(giveIndex, 1)[0]);
+  room.log.push(msg("STEAL_BURNED", { name: burner.name, victim: victim.name }));
+  return { result: "BURN_OK_STEAL", giveIndex };
+}
+
+function burnMiss(room, burner, victim, a, index) {
+  // wrong steal burn: reveal victim card to burner + penalty
+  if (a.target === "opp") {
+    learn(burner, a.card);
+    tell(room, burner.id, "burn:revealWrong", { targetId: victim.id, index, card: cardView(a.card, room.rules) });
+  }
+  refillDrawPileIfNeeded(room);
+  burner.hand.push(room.drawPile.pop());
+  tallyOf(burner).burnsMissed += 1;
+  room.log.push(a.target === "self"
+    ? msg("BURN_MISSED", { name: burner.name })
+    : msg("STEAL_BURN_MISSED", { name: burner.name, victim: victim.name }));
+  return { result: a.target === "self" ? "BURN_WRONG_SELF" : "BURN_WRONG_STEAL" };
+}
+
+/** Judge every queued attempt against the window's card and announce burn:resolved. */
+function resolveBurnWindow(room) {
+  const window = room.burnWindow;
+  if (!window) return;
+  room.burnWindow = null;
+  if (window.attempts.length === 0) return;
+
+  const results = [];
+  // stable sort: equal times keep the order the server queued them in
+  for (const a of [...window.attempts].sort((x, y) => x.at - y.at)) {
+    const burner = room.players.find(p => p.id === a.playerId);
+    const victim = room.players.find(p => p.id === a.targetId);
+    const index = victim ? victim.hand.findIndex(c => sameCard(c, a.card)) : -1;
+    const outcome = !burner || burner.eliminated || index < 0
+      ? { result: "BURN_VOID" }
+      : sameRank(a.card, window.card) ? burnHit(room, burner, victim, a, index) : burnMiss(room, burner, victim, a, index);
+
+    results.push({ playerId: a.playerId, target: a.target, targetId: a.targetId, index, ...outcome });
+  }
+
+  if (!room.replay) {
+    announce("burn:resolved", { roomId: room.id, windowId: window.id, card: cardView(window.card, room.rules), results });
+  }
+}
+
+/** The open burn window's time is up: judge whatever it collected. */
+export function closeBurnWindow(state) {
+  return collect(state, () => {
+    if (state.burnWindow?.attempts.length) recordAction(state, { type: "burnResolve" });
+    resolveBurnWindow(state);
+  });
+}
+
+// =====================
+// Moves
+// =====================
+
+function perform(room, me, event, payload) {
+  const action = gameActions[event];
+  if (!action) throw new KaboError("UNKNOWN_ACTION");
+  return action(room, me, payload ?? {}) ?? {};
+}
+
+/** A move the player made themselves: it also proves they are present. */
+function performOwn(room, me, event, payload) {
+  const result = perform(room, me, event, payload);
+  me.timeouts = 0;
+  me.afk = false;
+  return result;
+}
+
+/**
+ * `playerId` makes a move: action is { type, payload, at }, type one of ACTIONS
+ * and `at` when it reached the server, which orders burn attempts within their
+ * window. The move becomes the player's take-back point and goes into the round
+ * history; `move` in the result is that history entry. A rejected move throws
+ * and leaves the state as it was.
+ */
+export function applyAction(state, playerId, { type, payload, at = Date.now() }) {
+  const me = state.players.find(p => p.id === playerId);
+  if (!me) throw new KaboError("NOT_IN_ROOM");
+  const { roomId: _, ...args } = payload ?? {};
+  if (type === "burn:attempt") args.at = at;
+
+  const history = state.history;
+  const undoPoints = state.undoPoints && { ...state.undoPoints };
+  let move;
+  const result = collect(state, () => {
+    saveUndoPoint(state, me, type);
+    let reply;
+    try {
+      reply = performOwn(state, me, type, args);
+    } catch (e) {
+      state.undoPoints = undoPoints;
+      throw e;
+    }
+    if (state.undoVote?.by === me.id) cancelUndoVote(state, msg("UNDO_MOVED_ON", { name: me.name }));
+    move = { type, playerId, payload: args, ...(reply.result && { result: reply.result }) };
+    recordAction(state, move, history);
+    return reply;
+  });
+  return { ...result, move };
+}
+
+// =====================
+// Timeouts
+// =====================
+// The server keeps one deadline per room (room.deadline) and calls playTimeout
+// when it runs out. The player gets the safe move and a timeout on their count;
+// after rules.timers.afkAfter timeouts in a row they are flagged AFK.
+
+function flagTimeout(room, p) {
+  p.timeouts = (p.timeouts || 0) + 1;
+  room.log.push(msg("TIMED_OUT", { name: p.name }));
+  if (!p.afk && p.timeouts >= room.rules.timers.afkAfter) {
+    p.afk = true;
+    room.log.push(msg("AFK", { name: p.name, timeouts: p.timeouts }));
+  }
+}
+
+/**
+ * The safe default for each kind of deadline, played through gameActions.
+ * Deterministic given the room, so the replayer re-runs it for "timeout" entries.
+ */
+function autoPlay(room, kind, playerId) {
+  if (kind === "peek") {
+    for (const p of activePlayers(room).filter(x => x.peeksLeft > 0)) {
+      flagTimeout(room, p);
+      for (let i = 0; p.peeksLeft > 0 && i < p.hand.length; i++) {
+        if (!p.peeked.includes(i)) perform(room, p, "game:peek", { index: i });
+      }
+    }
+    return;
+  }
+
+  const me = room.players.find(p => p.id === playerId);
+  flagTimeout(room, me);
+
+  if (kind === "kingConfirm") {
+    perform(room, me, room.pending.source === "center" ? "centerPower:kingConfirm" : "power:kingConfirm", { confirm: false });
+    return;
+  }
+  if (kind === "centerPower") {
+    perform(room, me, "centerPower:skip", {});
+    return;
+  }
+
+  if (kind === "draw") perform(room, me, "turn:take", { source: "draw" });
+
+  // decide: play the drawn card to the center and pass up any power it opens
+  if (room.activeDraw.source === "discard") {
+    returnCenterCard(room, me);
+    return;
+  }
+  perform(room, me, "turn:discardDrawn", {});
+  if (room.phase === "CENTER_POWER" && room.centerPower?.ownerId === me.id) {
+    perform(room, me, "centerPower:skip", {});
+  }
+}
+
+/** A deadline of `kind` ran out on `playerId` (null for the peek). */
+export function playTimeout(state, kind, playerId) {
+  return collect(state, () => {
+    recordAction(state, { type: "timeout", kind, playerId });
+    autoPlay(state, kind, playerId);
+  });
+}
+
+// =====================
+// Round history + replay
+// =====================
+// Each round keeps a structured record: the shuffled deck it was dealt from and
+// every state-changing event with a sequence number and timestamp. Finished
+// rounds move to room.rounds and can be downloaded (never the live one: its
+// deck would give away hidden cards). replayRound rebuilds the game state
+// after any step by dealing the same deck and re-applying the same actions.
+const ROUND_HISTORY_LIMIT = 20;
+
+function beginRoundHistory(room, deck, starter) {
+  room.history = {
+    roomId: room.id,
+    round: room.match.round,
+    startedAt: Date.now(),
+    endedAt: null,
+    rules: structuredClone(room.rules),
+    players: room.players.map(p => ({ id: p.id, name: p.name, eliminated: !!p.eliminated, team: p.team ?? null })),
+    match: structuredClone(room.match),
+    starter,
+    initialDeck: structuredClone(deck),
+    actions: []
+  };
+}
+
+// `h` defaults to the live round; pass the record captured before an action
+// that may itself end the round.
+function recordAction(room, entry, h = room.history) {
+  if (!h || room.replay) return;
+  h.actions.push({ seq: h.actions.length + 1, t: Date.now(), ...entry });
+}
+
+function finishRoundHistory(room) {
+  const h = room.history;
+  if (!h || room.replay) return;
+  h.endedAt = Date.now();
+  h.result = structuredClone(room.ended);
+  h.shuffles = shufflesView(room);
+  room.rounds = [...(room.rounds || []), h].slice(-ROUND_HISTORY_LIMIT);
+  room.history = null;
+}
+
+/**
+ * Rebuild the table as it was after action `step` (all of them by default).
+ * Throws if the record does not replay cleanly.
+ */
+export function replayRound(record, step = Infinity) {
+  const room = {
+    ...newTable({ id: record.roomId }),
+    rules: structuredClone(record.rules),
+    players: record.players.map(p => ({ ...newSeat(p.name, p.id), eliminated: p.eliminated, team: p.team ?? null })),
+    match: structuredClone(record.match),
+    replay: { reshuffles: record.actions.filter(a => a.type === "reshuffle").map(a => structuredClone(a.order)) }
+  };
+  dealRound(room, structuredClone(record.initialDeck), record.starter);
+
+  for (const a of record.actions) {
+    if (a.seq > step) break;
+    if (a.type === "reshuffle") continue; // consumed by refillDrawPileIfNeeded
+    try {
+      if (a.type === "timeout") {
+        autoPlay(room, a.kind, a.playerId);
+      } else if (a.type === "burnResolve") {
+        resolveBurnWindow(room);
+      } else {
+        performOwn(room, room.players.find(p => p.id === a.playerId), a.type, a.payload);
+      }
+    } catch (e) {
+      throw new KaboError("REPLAY_FAILED", { step: a.seq, type: a.type, reason: e instanceof KaboError ? msg(e.code, e.params) : e.message });
+    }
+  }
+  return room;
+}
+
+export function replayView(room, locale) {
+  return {
+    phase: room.phase,
+    turnPlayerId: currentTurnPlayer(room),
+    players: room.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      eliminated: p.eliminated,
+      peeksLeft: p.peeksLeft,
+      hand: p.hand.map(c => cardView(c, room.rules))
+    })),
+    drawPile: room.drawPile,
+    discardPile: room.discardPile,
+    activeDraw: room.activeDraw,
+    pending: room.pending,
+    centerPower: room.centerPower,
+    caboCalledBy: room.caboCalledBy,
+    lastTurnFor: room.lastTurnFor,
+    skipNextFor: room.skipNextFor,
+    ended: room.ended,
+    log: room.log.map(line => logView(line, locale))
+  };
+}
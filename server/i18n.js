@@ -0,0 +1,66 @@
+import en from "./locales/en.js";
+import de from "./locales/de.js";
+
+// =====================
+// Messages
+// =====================
+// Every log line and every error the server sends is a message: a stable code
+// clients can switch on plus the params its text needs, e.g.
+// { code: "CABO_THRESHOLD", params: { sum: 14, limit: 10 } }. The text comes
+// from the catalogues in locales/ and is rendered for whoever reads it; a
+// locale missing a code falls back to English. Templates fill in {param}, and
+// a param that is itself a message is rendered in the same locale.
+
+export const CATALOGUES = { en, de };
+export const DEFAULT_LOCALE = "en";
+
+export const msg = (code, params = {}) => ({ code, params });
+
+const isMessage = (v) => v !== null && typeof v === "object" && typeof v.code === "string";
+
+/** The best catalogue for a tag like "de-AT" or an Accept-Language header. */
+export function localeOf(tag) {
+  for (const part of String(tag ?? "").split(",")) {
+    const lang = part.split(";")[0].trim().toLowerCase().split("-")[0];
+    if (Object.hasOwn(CATALOGUES, lang)) return lang;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function render(message, locale = DEFAULT_LOCALE) {
+  if (typeof message === "string") return message; // log lines from snapshots older than the catalogues
+  const { code, params = {} } = message;
+  const template = CATALOGUES[locale]?.[code] ?? en[code] ?? code;
+  return template.replace(/\{(\w+)\}/g, (whole, key) => {
+    if (!Object.hasOwn(params, key)) return whole;
+    const value = params[key];
+    return isMessage(value) ? render(value, locale) : String(value);
+  });
+}
+
+/** An error a player can cause; its message is the English text. */
+export class KaboError extends Error {
+  constructor(code, params = {}) {
+    super(render(msg(code, params)));
+    this.name = "KaboError";
+    this.code = code;
+    this.params = params;
+  }
+}
+
+/**
+ * Callback fields for a failure: { error, code, params }, error rendered for `locale`.
+ * Anything but a KaboError is a bug: it is logged here and the caller only hears
+ * INTERNAL_ERROR.
+ */
+export function errorFields(e, locale) {
+  if (!(e instanceof KaboError)) console.error("Internal error:", e);
+  const message = e instanceof KaboError ? msg(e.code, e.params) : msg("INTERNAL_ERROR");
+  return { error: render(message, locale), ...message };
+}
+
+/** A log line as sent to a reader: { code, params, text }. */
+export function logView(line, locale) {
+  const message = typeof line === "string" ? msg("TEXT", { text: line }) : line;
+  return { ...message, text: render(message, locale) };
+}
@@ -0,0 +1,236 @@
+// German. Codes missing here fall back to English (locales/en.js).
+
+export default {
+  // ----- Errors
+  ROOM_CODE_UNAVAILABLE: "Kein Raumcode frei, bitte erneut versuchen",
+  RULE_PEEKS_OVER_HAND: "Es können nicht mehr Karten angesehen werden, als auf der Hand sind",
+  RULE_RESET_OVER_LIMIT: "Der Rücksetzwert muss unter dem Matchlimit liegen",
+  NO_CARDS_LEFT: "Keine Karten mehr zum Ziehen",
+  ROOM_NOT_FOUND: "Raum nicht gefunden",
+  NOT_IN_ROOM: "Nicht in diesem Raum",
+  NOT_YOUR_TURN: "Du bist nicht am Zug",
+  CHOOSE_TARGET: "Wähle einen Zielspieler",
+  BAD_TARGET_PLAYER: "Ungültiger Zielspieler",
+  PARTNER_TARGET: "Du kannst nicht deinen Partner wählen",
+  NO_MATCH: "Kein Match im Gange",
+  MATCH_OVER: "Das Match ist vorbei",
+  RANKED_STOCK_RULES: "Gewertete Räume nutzen eine Vorgabe ohne Änderungen",
+  RANKED_ACCOUNT_REQUIRED: "Gewertete Spiele brauchen ein registriertes Konto",
+  ALREADY_SEATED_ACCOUNT: "Du sitzt bereits in diesem Raum",
+  CHAT_REACT_EMOTE_ONLY: "Auf das Protokoll kann nur mit Emotes reagiert werden",
+  CHAT_NO_LOG_LINE: "Diese Protokollzeile gibt es nicht",
+  NO_SUCH_PLAYER: "Diesen Spieler gibt es nicht",
+  HOST_NOT_KICKABLE: "Der Gastgeber kann nicht entfernt werden",
+  KICK_LOBBY_ONLY: "Spieler können nur in der Lobby entfernt werden",
+  START_LOBBY_ONLY: "Ein Match läuft bereits; schlage stattdessen einen Neustart vor",
+  NO_ROUND: "Keine Runde im Gange",
+  ELIMINATED: "Du bist aus diesem Match ausgeschieden",
+  NO_RESTART_PROPOSED: "Es wurde kein Neustart vorgeschlagen",
+  RESTART_HOST_ONLY: "Nur der Gastgeber kann einen Neustart vorschlagen",
+  UNDO_RANKED: "In gewerteten Räumen gibt es keine Rücknahmen",
+  UNDO_NOTHING: "Kein Zug zum Zurücknehmen",
+  UNDO_PENDING: "Über eine Rücknahme wird bereits abgestimmt",
+  UNDO_NOT_ASKED: "Niemand hat um eine Rücknahme gebeten",
+  UNDO_OWN_REQUEST: "Du hast selbst darum gebeten",
+  NOT_CENTER_POWER_PHASE: "Gerade ist keine Mitte-Fähigkeit dran",
+  NO_CENTER_POWER: "Keine Mitte-Fähigkeit",
+  NOT_YOUR_CENTER_POWER: "Nicht deine Mitte-Fähigkeit",
+  NOT_DECIDE_PHASE: "Gerade ist keine Entscheidung dran",
+  NO_DRAWN_CARD: "Keine gezogene Karte",
+  PEEK_PHASE_OVER: "Die Ansehphase ist vorbei",
+  NO_PEEKS_LEFT: "Kein Ansehen mehr übrig",
+  BAD_INDEX: "Ungültige Position",
+  NOT_DRAW_PHASE: "Gerade wird nicht gezogen",
+  ALREADY_DREW: "Du hast schon eine Karte gezogen",
+  PENDING_ACTION: "Erst die offene Aktion abschließen",
+  CENTER_EMPTY: "Der Ablagestapel ist leer",
+  CENTER_CARD_MUST_SWAP: "Eine Karte aus der Mitte muss eingetauscht werden",
+  CABO_TURN_START: "Cabo nur zu Beginn deines Zuges",
+  BURN_NOT_NOW: "Abwerfen ist gerade nicht erlaubt.",
+  BURN_CENTER_EMPTY: "Nichts zum Abwerfen (Ablagestapel leer).",
+  BURN_ELIMINATED: "Du bist aus diesem Match ausgeschieden.",
+  BURN_ALREADY_TRIED: "Du hast bei dieser Karte schon versucht abzuwerfen.",
+  BURN_BAD_TARGET: "Ungültiges Ziel.",
+  BURN_CHOOSE_GIFT: "Wähle eine Karte zum Abgeben.",
+  NO_CENTER_POWER_TO_SKIP: "Keine Mitte-Fähigkeit zum Überspringen",
+  POWER_DRAW_PILE_ONLY: "Fähigkeiten gelten nur vom Nachziehstapel",
+  BAD_MY_INDEX: "Ungültige eigene Position",
+  BAD_OPP_INDEX: "Ungültige Position beim Gegner",
+  NO_PENDING_KING: "Keine offene Königsaktion",
+  NOT_YOUR_PENDING: "Nicht deine offene Aktion",
+  UNKNOWN_ACTION: "Unbekannte Aktion",
+  ILLEGAL_PHASE: "Unzulässiger Phasenwechsel {from} -> {to}",
+  ROUND_NOT_FOUND: "Runde nicht gefunden",
+  BAD_STEP: "Ungültiger Schritt",
+  PASSWORD_REQUIRED: "Passwort erforderlich",
+  WRONG_PASSWORD: "Falsches Passwort",
+  RANKED_SEEDED: "Gewertete Räume können keinen Seed haben",
+  BAD_SEED: "Der Seed muss eine Zeichenkette mit 1-128 Zeichen sein",
+  BAD_VISIBILITY: "Sichtbarkeit muss öffentlich oder privat sein",
+  BAD_ROOM_PASSWORD: "Das Passwort muss eine Zeichenkette mit 1-64 Zeichen sein",
+  NO_GAME: "Kein Spiel im Gange",
+  GAME_STARTED: "Das Spiel hat schon begonnen",
+  ROOM_LOCKED: "Der Raum ist gesperrt",
+  KICKED: "Du wurdest aus diesem Raum entfernt",
+  STOP_WATCHING_FIRST: "Hör erst auf zuzuschauen, bevor du dich setzt",
+  ROOM_FULL: "Der Raum ist voll",
+  UNKNOWN_PRESET: "Unbekannte Vorgabe",
+  RULES_LOBBY_ONLY: "Regeln können nur in der Lobby geändert werden",
+  BOTS_ADD_LOBBY_ONLY: "Bots können nur in der Lobby hinzugefügt werden",
+  BOTS_NOT_RANKED: "Bots können nicht gewertet spielen",
+  BOTS_REMOVE_LOBBY_ONLY: "Bots können nur in der Lobby entfernt werden",
+  NO_SUCH_BOT: "Diesen Bot gibt es nicht",
+  TEAMS_LOBBY_ONLY: "Teams können nur in der Lobby geändert werden",
+  ROUND_IN_PROGRESS: "Die Runde läuft noch",
+  HOST_MUST_BE_PERSON: "Gastgeber muss ein sitzender Mensch sein",
+  ALREADY_HOST: "Bereits Gastgeber",
+  SEAT_NOT_FOUND: "Platz nicht gefunden",
+  ALREADY_SEATED: "Du sitzt bereits",
+  ALREADY_WATCHING: "Du schaust bereits zu",
+  TOO_MANY_SPECTATORS: "Zu viele Zuschauer",
+  OMNISCIENT_OFF: "Die allwissende Ansicht ist aus",
+  CANNOT_MUTE_SELF: "Du kannst dich nicht selbst stummschalten",
+  UNKNOWN_RULES_PRESET: "Unbekannte Regelvorgabe \"{preset}\"",
+  UNKNOWN_RULE: "Unbekannte Regel \"{rule}\"",
+  BAD_RULE_VALUE: "Ungültiger Wert für Regel \"{rule}\"",
+  TEAM_PLAYER_COUNT: "Teamspiel braucht genau {count} Spieler",
+  TEAM_SIZE: "Jedes Team braucht {size} Spieler",
+  NOT_ENOUGH_PLAYERS: "Mindestens {min} Spieler nötig",
+  HOST_ONLY: "Nur der Gastgeber kann {action}",
+  UNDO_TOO_LATE: "Zu spät zum Zurücknehmen ({reason})",
+  DRAW_SOURCE_RULE: "Regel: nur vom {source}.",
+  BAD_SOURCE: "Ungültiger Stapel",
+  CABO_THRESHOLD: "Cabo nicht erlaubt (Summe muss unter {limit} liegen).",
+  CABO_TEAM_THRESHOLD: "Cabo nicht erlaubt (Teamsumme muss unter {limit} liegen).",
+  BURN_BAD_INDEX: "Ungültige Position.",
+  BURN_BAD_OPP_INDEX: "Ungültige Position beim Gegner.",
+  NO_SUCH_POWER: "{rank} hat keine Fähigkeit „{power}“",
+  REPLAY_FAILED: "Wiedergabe bei Schritt {step} ({type}) fehlgeschlagen: {reason}",
+  PROFILE_NOT_FOUND: "Profil nicht gefunden",
+  BAD_SORT: "Ungültige Sortierung",
+  ADMIN_DISABLED: "Die Admin-API ist abgeschaltet",
+  NOT_AUTHORIZED: "Nicht berechtigt",
+  NOTICE_LENGTH: "Die Nachricht muss 1-{max} Zeichen lang sein",
+  RATE_SOCKET: "Zu viele Anfragen, bitte langsamer",
+  RATE_EVENT: "Zu viele {event}, bitte langsamer",
+  NOT_SPECTATING: "Du schaust nicht zu",
+  RATE_ROOM: "Im Raum ist zu viel los, bitte langsamer",
+  FIELD_INVALID: "{field} muss {expected} sein",
+  PAYLOAD_NOT_OBJECT: "Die Nutzdaten müssen ein Objekt sein",
+  UNEXPECTED_FIELD: "Unerwartetes Feld {field}",
+  GIVE_INDEX_REQUIRED: "Zum Abwerfen beim Gegner ist giveIndex nötig",
+  TEXT_OR_EMOTE: "Sende entweder Text oder ein Emote",
+  BAD_USERNAME: "Benutzername: 3-16 Buchstaben, Ziffern, _ oder -",
+  BAD_PASSWORD: "Das Passwort muss 6-128 Zeichen lang sein",
+  USERNAME_TAKEN: "Benutzername vergeben",
+  WRONG_LOGIN: "Falscher Benutzername oder falsches Passwort",
+  EMPTY_MESSAGE: "Leere Nachricht",
+  UNKNOWN_EMOTE: "Unbekanntes Emote ({emotes})",
+  UNKNOWN_BOT_LEVEL: "Unbekannte Bot-Stufe ({levels})",
+  SERVER_DRAINING: "Dieser Server wird heruntergefahren, bitte neu verbinden",
+  INSTANCE_UNREACHABLE: "Der Server mit diesem Raum antwortet nicht, bitte erneut versuchen",
+  INTERNAL_ERROR: "Auf dem Server ist etwas schiefgelaufen, bitte erneut versuchen",
+
+  // ----- Log
+  SEEDS_REVEALED: "Shuffle-Seeds aufgedeckt ({count}).",
+  RESHUFFLED: "Nachziehstapel aus der Mitte aufgefüllt (neu gemischt).",
+  RESHUFFLED_COMMITTED: "Nachziehstapel aus der Mitte aufgefüllt (neu gemischt, Commitment {commitment}).",
+  DECK_COMMITMENT: "Deck-Commitment: {commitment}",
+  ROUND_STARTED: "Runde {round} beginnt. Jeder sieht sich {peeks} Karten an (3 s umdrehen).",
+  TURN: "{name} ist am Zug.",
+  CABO_PENALTY: "{name} hat CABO ohne die niedrigste Hand gerufen (+{penalty}).",
+  CABO_PENALTY_TEAM: "{name} hat CABO ohne die niedrigste Teamsumme gerufen (+{penalty}).",
+  MATCH_RESET: "{name} hat genau {limit} erreicht → zurück auf {reset}.",
+  ELIMINATED_AT: "{name} ist raus ({total}).",
+  MATCH_WON: "Match vorbei. {name} gewinnt mit {total}.",
+  RATINGS_UPDATED: "Wertungen aktualisiert ({preset}, Saison {season}): {changes}",
+  VALENTINE_UNLOCKED: "Valentinsseite freigeschaltet 💜",
+  ROUND_ENDED: "Runde vorbei. Sieger: {winner}",
+  SKIPPED: "{name} wurde übersprungen.",
+  CENTER_POWER_AVAILABLE: "Mitte-Fähigkeit verfügbar für {name}.",
+  LEFT: "{name} hat den Raum verlassen.",
+  BACK_TO_LOBBY: "Zurück in die Lobby.",
+  NEW_HOST: "{name} ist jetzt Gastgeber.",
+  KICKED_BY_HOST: "{name} wurde vom Gastgeber entfernt.",
+  RESTART_PROPOSED: "{name} schlägt vor, die Runde neu zu starten.",
+  RESTART_DECLINED: "{name} hat den Neustart abgelehnt.",
+  RESTARTED: "Alle sind einverstanden: Runde {round} neu gestartet und neu gemischt.",
+  UNDO_CANCELLED: "Rücknahme abgebrochen: {reason}.",
+  UNDO_REQUESTED: "{name} möchte den letzten Zug zurücknehmen.",
+  UNDO_DONE: "Alle sind einverstanden: der letzte Zug von {name} wurde zurückgenommen.",
+  PEEKED: "{name} hat sich eine Karte angesehen.",
+  PEEKS_DONE: "Ansehen vorbei. {name} ist am Zug.",
+  TOOK_CENTER: "{name} hat {rank} aus der Mitte genommen.",
+  DREW: "{name} hat eine Karte gezogen.",
+  SWAPPED: "{name} hat getauscht und eine Karte in die Mitte gelegt.",
+  PLAYED_DRAWN: "{name} hat die gezogene Karte in die Mitte gelegt.",
+  CABO_CALLED_HEADS_UP: "{name} ruft CABO! {next} hat den letzten Zug.",
+  CABO_CALLED: "{name} ruft CABO! Alle anderen haben noch einen Zug.",
+  CENTER_POWER_SKIPPED: "Mitte-Fähigkeit übersprungen.",
+  USED_POWER: "{name} hat {rank} eingesetzt ({detail}).",
+  USED_CENTER_POWER: "{name} hat {rank} aus der Mitte eingesetzt ({detail}).",
+  BURNED: "{name} hat eine Karte abgeworfen!",
+  STEAL_BURNED: "{name} hat erfolgreich bei {victim} abgeworfen!",
+  BURN_MISSED: "{name} wollte abwerfen und lag daneben (+1 Strafe).",
+  STEAL_BURN_MISSED: "{name} hat bei {victim} falsch abgeworfen (+1 Strafe, Karte aufgedeckt).",
+  TIMED_OUT: "Die Zeit von {name} ist abgelaufen.",
+  AFK: "{name} scheint abwesend zu sein ({timeouts} Zeitüberschreitungen in Folge).",
+  CENTER_CARD_BACK: "{name} hat die Karte zurück in die Mitte gelegt.",
+  QUEUE_MATCHED: "Aus der Warteschlange {preset} zusammengestellt: {players}.",
+  MATCH_ENDED_BY_ADMIN: "Match von einem Administrator beendet. {name} führt mit {total}.",
+  NOTICE: "Hinweis: {message}",
+  ROOM_CREATED: "{name} hat Raum {roomId} erstellt.",
+  JOINED: "{name} ist beigetreten.",
+  RULES_SET: "Regeln auf {preset} gesetzt.",
+  JOINED_TEAM: "{name} ist Team {team} beigetreten.",
+  HOST_BYPASS: "Gastgeber hat übersprungen → Valentinsseite freigeschaltet.",
+  ROOM_LOCKED_BY_HOST: "Der Gastgeber hat den Raum gesperrt.",
+  ROOM_UNLOCKED_BY_HOST: "Der Gastgeber hat den Raum entsperrt.",
+  PASSWORD_REMOVED: "Der Gastgeber hat das Raumpasswort entfernt.",
+  PASSWORD_SET: "Der Gastgeber hat ein Raumpasswort gesetzt.",
+  VALENTINE_NO: "Valentin: NEIN geklickt ({count}).",
+  VALENTINE_YES: "Valentin: JA geklickt 💜",
+  RECONNECTED: "{name} ist wieder verbunden.",
+  WATCHING: "{name} schaut zu.",
+  OMNISCIENT_ON: "Allwissende Zuschaueransicht an ({delay} s Verzögerung).",
+  OMNISCIENT_OFF_LOG: "Allwissende Zuschaueransicht aus.",
+  DISCONNECTED: "{name} hat die Verbindung verloren (Platz wird {seconds} s gehalten).",
+  SERVER_RESTARTED: "Server neu gestartet. Tritt erneut bei, um weiterzuspielen.",
+  TEXT: "{text}",
+
+  // ----- Parts
+  PILE_DRAW: "Nachziehstapel",
+  PILE_DISCARD: "Ablagestapel",
+  HOST_ACTION_START: "starten",
+  HOST_ACTION_CHANGE_RULES: "die Regeln ändern",
+  HOST_ACTION_ADD_BOTS: "Bots hinzufügen",
+  HOST_ACTION_REMOVE_BOTS: "Bots entfernen",
+  HOST_ACTION_PICK_TEAMS: "Teams für andere wählen",
+  HOST_ACTION_DEAL: "austeilen",
+  HOST_ACTION_BYPASS: "überspringen",
+  HOST_ACTION_KICK: "Spieler entfernen",
+  HOST_ACTION_TRANSFER: "den Raum übergeben",
+  HOST_ACTION_LOCK: "den Raum sperren",
+  HOST_ACTION_SET_PASSWORD: "das Passwort setzen",
+  HOST_ACTION_SPECTATOR_FEED: "die Zuschaueransicht ändern",
+  POWER_PEEK_OWN: "eigene ansehen",
+  POWER_PEEK_OPP: "Gegner ansehen",
+  POWER_SKIP: "aussetzen",
+  POWER_UNSEEN_SWAP: "blind tauschen",
+  POWER_SEEN_SWAP: "sehend tauschen",
+  UNDO_MOVED_ON: "{name} hat weitergespielt",
+  UNDO_DECLINED: "{name} hat abgelehnt",
+  UNDO_BLOCKED_REVEAL: "eine verdeckte Karte wurde gezeigt",
+  UNDO_BLOCKED_BURN: "jemand hat versucht abzuwerfen",
+  DETAIL_PEEK: "{name} angesehen",
+  DETAIL_SKIP: "{name} setzt aus",
+  DETAIL_UNSEEN_SWAP: "blind getauscht mit {name}",
+  DETAIL_SEEN_SWAP: "sehend getauscht mit {name}",
+  DETAIL_SEEN_SWAP_CANCELLED: "sehender Tausch abgebrochen",
+  DETAIL_SEEN_SWAP_GONE: "sehender Tausch entfällt, eine Karte hat ihre Hand verlassen",
+  EXPECT_INT: "eine ganze Zahl von {min} bis {max}",
+  EXPECT_STRING: "eine Zeichenkette mit {min}-{max} Zeichen",
+  EXPECT_BOOL: "true oder false",
+  EXPECT_ONE_OF: "eins von {values}",
+  EXPECT_OBJECT: "ein Objekt"
+};
@@ -0,0 +1,239 @@
+// English: the reference catalogue. Every code the server sends is here and
+// other locales fall back to it, so a new code only has to be added once.
+
+export default {
+  // ----- Errors
+  ROOM_CODE_UNAVAILABLE: "Could not allocate a room code, try again",
+  RULE_PEEKS_OVER_HAND: "Cannot peek more cards than the hand size",
+  RULE_RESET_OVER_LIMIT: "Match reset must be below the match limit",
+  NO_CARDS_LEFT: "No cards left to draw",
+  ROOM_NOT_FOUND: "Room not found",
+  NOT_IN_ROOM: "Not in room",
+  NOT_YOUR_TURN: "Not your turn",
+  CHOOSE_TARGET: "Choose a target player",
+  BAD_TARGET_PLAYER: "Bad target player",
+  PARTNER_TARGET: "Cannot target your partner",
+  NO_MATCH: "No match in progress",
+  MATCH_OVER: "Match is over",
+  RANKED_STOCK_RULES: "Ranked rooms use a preset without changes",
+  RANKED_ACCOUNT_REQUIRED: "Ranked play needs a registered account",
+  ALREADY_SEATED_ACCOUNT: "Already seated in this room",
+  CHAT_REACT_EMOTE_ONLY: "Only emotes can react to the log",
+  CHAT_NO_LOG_LINE: "No such log line",
+  NO_SUCH_PLAYER: "No such player",
+  HOST_NOT_KICKABLE: "The host cannot be kicked",
+  KICK_LOBBY_ONLY: "Players can only be kicked in the lobby",
+  START_LOBBY_ONLY: "A match is under way; propose a restart instead",
+  NO_ROUND: "No round in progress",
+  ELIMINATED: "You are out of this match",
+  NO_RESTART_PROPOSED: "No restart proposed",
+  RESTART_HOST_ONLY: "Only host can propose a restart",
+  UNDO_RANKED: "Take-backs are off in ranked rooms",
+  UNDO_NOTHING: "No move to take back",
+  UNDO_PENDING: "A take-back is already being decided",
+  UNDO_NOT_ASKED: "No take-back asked for",
+  UNDO_OWN_REQUEST: "You asked for it",
+  NOT_CENTER_POWER_PHASE: "Not in center power phase",
+  NO_CENTER_POWER: "No center power",
+  NOT_YOUR_CENTER_POWER: "Not your center power",
+  NOT_DECIDE_PHASE: "Not in decide phase",
+  NO_DRAWN_CARD: "No drawn card",
+  PEEK_PHASE_OVER: "Peek phase ended",
+  NO_PEEKS_LEFT: "No peeks left",
+  BAD_INDEX: "Bad index",
+  NOT_DRAW_PHASE: "Not in draw phase",
+  ALREADY_DREW: "Already drew a card",
+  PENDING_ACTION: "Resolve pending action first",
+  CENTER_EMPTY: "Center pile is empty",
+  CENTER_CARD_MUST_SWAP: "A card taken from the center must be swapped in",
+  CABO_TURN_START: "Call Cabo at start of your turn",
+  BURN_NOT_NOW: "Burn not allowed right now.",
+  BURN_CENTER_EMPTY: "Nothing to burn on (center pile empty).",
+  BURN_ELIMINATED: "You are out of this match.",
+  BURN_ALREADY_TRIED: "You already tried to burn this card.",
+  BURN_BAD_TARGET: "Bad target.",
+  BURN_CHOOSE_GIFT: "Choose a card to give.",
+  NO_CENTER_POWER_TO_SKIP: "No center power to skip",
+  POWER_DRAW_PILE_ONLY: "Powers only work from the draw pile",
+  BAD_MY_INDEX: "Bad my index",
+  BAD_OPP_INDEX: "Bad opp index",
+  NO_PENDING_KING: "No pending king action",
+  NOT_YOUR_PENDING: "Not your pending action",
+  UNKNOWN_ACTION: "Unknown action",
+  ILLEGAL_PHASE: "Illegal phase change {from} -> {to}",
+  ROUND_NOT_FOUND: "Round not found",
+  BAD_STEP: "Bad step",
+  PASSWORD_REQUIRED: "Password required",
+  WRONG_PASSWORD: "Wrong password",
+  RANKED_SEEDED: "Ranked rooms cannot be seeded",
+  BAD_SEED: "Seed must be a string of 1-128 characters",
+  BAD_VISIBILITY: "Visibility must be public or private",
+  BAD_ROOM_PASSWORD: "Password must be a string of 1-64 characters",
+  NO_GAME: "No game in progress",
+  GAME_STARTED: "Game already started",
+  ROOM_LOCKED: "Room is locked",
+  KICKED: "You were kicked from this room",
+  STOP_WATCHING_FIRST: "Stop watching before taking a seat",
+  ROOM_FULL: "Room full",
+  UNKNOWN_PRESET: "Unknown preset",
+  RULES_LOBBY_ONLY: "Rules can only change in the lobby",
+  BOTS_ADD_LOBBY_ONLY: "Bots can only be added in the lobby",
+  BOTS_NOT_RANKED: "Bots cannot play ranked",
+  BOTS_REMOVE_LOBBY_ONLY: "Bots can only be removed in the lobby",
+  NO_SUCH_BOT: "No such bot",
+  TEAMS_LOBBY_ONLY: "Teams can only change in the lobby",
+  ROUND_IN_PROGRESS: "Round still in progress",
+  HOST_MUST_BE_PERSON: "Host must be a seated person",
+  ALREADY_HOST: "Already host",
+  SEAT_NOT_FOUND: "Seat not found",
+  ALREADY_SEATED: "Already seated",
+  ALREADY_WATCHING: "Already watching",
+  TOO_MANY_SPECTATORS: "Too many spectators",
+  OMNISCIENT_OFF: "Omniscient feed is off",
+  CANNOT_MUTE_SELF: "Cannot mute yourself",
+  UNKNOWN_RULES_PRESET: "Unknown rules preset \"{preset}\"",
+  UNKNOWN_RULE: "Unknown rule \"{rule}\"",
+  BAD_RULE_VALUE: "Bad value for rule \"{rule}\"",
+  TEAM_PLAYER_COUNT: "Team play needs exactly {count} players",
+  TEAM_SIZE: "Each team needs {size} players",
+  NOT_ENOUGH_PLAYERS: "Need at least {min} players",
+  HOST_ONLY: "Only host can {action}",
+  UNDO_TOO_LATE: "Too late to take that back ({reason})",
+  DRAW_SOURCE_RULE: "Rule: {source} pile only.",
+  BAD_SOURCE: "Bad source",
+  CABO_THRESHOLD: "Cabo not allowed (total must be less than {limit}).",
+  CABO_TEAM_THRESHOLD: "Cabo not allowed (team total must be less than {limit}).",
+  BURN_BAD_INDEX: "Bad index.",
+  BURN_BAD_OPP_INDEX: "Bad opponent index.",
+  NO_SUCH_POWER: "{rank} has no {power} power",
+  REPLAY_FAILED: "Replay failed at step {step} ({type}): {reason}",
+  PROFILE_NOT_FOUND: "Profile not found",
+  BAD_SORT: "Bad sort",
+  ADMIN_DISABLED: "Admin API is disabled",
+  NOT_AUTHORIZED: "Not authorized",
+  NOTICE_LENGTH: "Message must be 1-{max} characters",
+  RATE_SOCKET: "Too many requests, slow down",
+  RATE_EVENT: "Too many {event}, slow down",
+  NOT_SPECTATING: "Not spectating",
+  RATE_ROOM: "Room is busy, slow down",
+  FIELD_INVALID: "{field} must be {expected}",
+  PAYLOAD_NOT_OBJECT: "Payload must be an object",
+  UNEXPECTED_FIELD: "Unexpected field {field}",
+  GIVE_INDEX_REQUIRED: "giveIndex is required to steal-burn",
+  TEXT_OR_EMOTE: "Send either text or an emote",
+  BAD_USERNAME: "Username must be 3-16 letters, digits, _ or -",
+  BAD_PASSWORD: "Password must be 6-128 characters",
+  USERNAME_TAKEN: "Username taken",
+  WRONG_LOGIN: "Wrong username or password",
+  EMPTY_MESSAGE: "Empty message",
+  UNKNOWN_EMOTE: "Unknown emote ({emotes})",
+  UNKNOWN_BOT_LEVEL: "Unknown bot level ({levels})",
+  SERVER_DRAINING: "This server is shutting down, please reconnect",
+  INSTANCE_UNREACHABLE: "The server holding this room did not answer, try again",
+  INTERNAL_ERROR: "Something went wrong on the server, try again",
+
+  // ----- Log
+  // TEXT wraps log lines written before the catalogues existed
+  SEEDS_REVEALED: "Shuffle seeds revealed ({count}).",
+  RESHUFFLED: "Draw pile refilled from center pile (reshuffled).",
+  RESHUFFLED_COMMITTED: "Draw pile refilled from center pile (reshuffled, commitment {commitment}).",
+  DECK_COMMITMENT: "Deck commitment: {commitment}",
+  ROUND_STARTED: "Round {round} started. Each player: peek {peeks} cards (flip for 3s).",
+  TURN: "{name}'s turn.",
+  CABO_PENALTY: "{name} called CABO without the lowest hand (+{penalty}).",
+  CABO_PENALTY_TEAM: "{name} called CABO without the lowest team total (+{penalty}).",
+  MATCH_RESET: "{name} hit exactly {limit} → back to {reset}.",
+  ELIMINATED_AT: "{name} is out ({total}).",
+  MATCH_WON: "Match over. {name} wins with {total}.",
+  RATINGS_UPDATED: "Ratings updated ({preset}, season {season}): {changes}",
+  VALENTINE_UNLOCKED: "Valentine page unlocked 💜",
+  ROUND_ENDED: "Round ended. Winner: {winner}",
+  SKIPPED: "{name} was skipped.",
+  CENTER_POWER_AVAILABLE: "Center power available for {name}.",
+  LEFT: "{name} left.",
+  BACK_TO_LOBBY: "Back to lobby.",
+  NEW_HOST: "{name} is now host.",
+  KICKED_BY_HOST: "{name} was kicked by the host.",
+  RESTART_PROPOSED: "{name} proposed restarting the round.",
+  RESTART_DECLINED: "{name} declined the restart.",
+  RESTARTED: "Everyone agreed: round {round} restarted with a new shuffle.",
+  UNDO_CANCELLED: "Take-back cancelled: {reason}.",
+  UNDO_REQUESTED: "{name} asked to take back their last move.",
+  UNDO_DONE: "Everyone agreed: {name}'s last move was taken back.",
+  PEEKED: "{name} peeked a card.",
+  PEEKS_DONE: "Peeks done. {name}'s turn.",
+  TOOK_CENTER: "{name} took {rank} from the center.",
+  DREW: "{name} drew a card.",
+  SWAPPED: "{name} swapped and played a card to center.",
+  PLAYED_DRAWN: "{name} played drawn card to center.",
+  CABO_CALLED_HEADS_UP: "{name} called CABO! {next} gets last turn.",
+  CABO_CALLED: "{name} called CABO! Everyone else gets one last turn.",
+  CENTER_POWER_SKIPPED: "Center power skipped.",
+  USED_POWER: "{name} used {rank} ({detail}).",
+  USED_CENTER_POWER: "{name} used center {rank} ({detail}).",
+  BURNED: "{name} burned a card!",
+  STEAL_BURNED: "{name} steal-burned {victim} successfully!",
+  BURN_MISSED: "{name} tried to burn and missed (+1 penalty).",
+  STEAL_BURN_MISSED: "{name} steal-burned {victim} wrongly (+1 penalty, revealed card).",
+  TIMED_OUT: "{name} ran out of time.",
+  AFK: "{name} looks AFK ({timeouts} timeouts in a row).",
+  CENTER_CARD_BACK: "{name} put the center card back.",
+  QUEUE_MATCHED: "Matched from the {preset} queue: {players}.",
+  MATCH_ENDED_BY_ADMIN: "Match ended by an administrator. {name} leads with {total}.",
+  NOTICE: "Notice: {message}",
+  ROOM_CREATED: "{name} created room {roomId}.",
+  JOINED: "{name} joined.",
+  RULES_SET: "Rules set to {preset}.",
+  JOINED_TEAM: "{name} joined team {team}.",
+  HOST_BYPASS: "Host bypassed → Valentine unlocked.",
+  ROOM_LOCKED_BY_HOST: "Host locked the room.",
+  ROOM_UNLOCKED_BY_HOST: "Host unlocked the room.",
+  PASSWORD_REMOVED: "Host removed the room password.",
+  PASSWORD_SET: "Host set a room password.",
+  VALENTINE_NO: "Valentine: NO clicked ({count}).",
+  VALENTINE_YES: "Valentine: YES clicked 💜",
+  RECONNECTED: "{name} reconnected.",
+  WATCHING: "{name} is watching.",
+  OMNISCIENT_ON: "Omniscient spectator feed on ({delay}s delay).",
+  OMNISCIENT_OFF_LOG: "Omniscient spectator feed off.",
+  DISCONNECTED: "{name} disconnected (seat held {seconds}s).",
+  SERVER_RESTARTED: "Server restarted. Rejoin to continue.",
+  TEXT: "{text}",
+
+  // ----- Parts
+  // filled into the messages above
+  PILE_DRAW: "draw",
+  PILE_DISCARD: "discard",
+  HOST_ACTION_START: "start",
+  HOST_ACTION_CHANGE_RULES: "change rules",
+  HOST_ACTION_ADD_BOTS: "add bots",
+  HOST_ACTION_REMOVE_BOTS: "remove bots",
+  HOST_ACTION_PICK_TEAMS: "pick teams for others",
+  HOST_ACTION_DEAL: "deal",
+  HOST_ACTION_BYPASS: "bypass",
+  HOST_ACTION_KICK: "kick",
+  HOST_ACTION_TRANSFER: "hand over the room",
+  HOST_ACTION_LOCK: "lock the room",
+  HOST_ACTION_SET_PASSWORD: "set the password",
+  HOST_ACTION_SPECTATOR_FEED: "change the spectator feed",
+  POWER_PEEK_OWN: "peek own",
+  POWER_PEEK_OPP: "peek opponent",
+  POWER_SKIP: "skip",
+  POWER_UNSEEN_SWAP: "unseen swap",
+  POWER_SEEN_SWAP: "seen swap",
+  UNDO_MOVED_ON: "{name} moved on",
+  UNDO_DECLINED: "{name} declined",
+  UNDO_BLOCKED_REVEAL: "a hidden card was shown",
+  UNDO_BLOCKED_BURN: "someone tried a burn",
+  DETAIL_PEEK: "peek {name}",
+  DETAIL_SKIP: "skip {name}",
+  DETAIL_UNSEEN_SWAP: "unseen swap with {name}",
+  DETAIL_SEEN_SWAP: "seen swap with {name}",
+  DETAIL_SEEN_SWAP_CANCELLED: "seen swap cancelled",
+  DETAIL_SEEN_SWAP_GONE: "seen swap called off, a card had left its hand",
+  EXPECT_INT: "an integer from {min} to {max}",
+  EXPECT_STRING: "a string of {min}-{max} characters",
+  EXPECT_BOOL: "true or false",
+  EXPECT_ONE_OF: "one of {values}",
+  EXPECT_OBJECT: "an object"
+};
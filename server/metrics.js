@@ -0,0 +1,80 @@
+// =====================
+// Metrics
+// =====================
+// A tiny Prometheus registry: counters (optionally labelled) that the server
+// bumps as things happen, and gauges read when /metrics is scraped. render()
+// produces the text exposition format.
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+export class Metrics {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.metrics = new Map(); // name -> { type, help, values: Map(labelText -> n) | collect }
+  }
+
+  /** A labelled counter only has the series it was bumped with; a plain one starts at 0. */
+  counter(name, help, { labelled = false } = {}) {
+    const metric = { type: "counter", help, labelled, values: new Map() };
+    this.metrics.set(name, metric);
+    return {
+      inc: (labels = {}, by = 1) => {
+        const key = labelText(labels);
+        metric.values.set(key, (metric.values.get(key) || 0) + by);
+      }
+    };
+  }
+
+  /** collect() returns a number, or [{ labels, value }] for a labelled gauge. */
+  gauge(name, help, collect) {
+    this.metrics.set(name, { type: "gauge", help, collect });
+  }
+
+  render() {
+    const lines = [];
+    for (const [name, m] of this.metrics) {
+      const full = `${this.prefix}_${name}`;
+      lines.push(`# HELP ${full} ${m.help}`, `# TYPE ${full} ${m.type}`);
+      if (m.type === "counter") {
+        if (m.values.size === 0 && !m.labelled) lines.push(`${full} 0`);
+        for (const [labels, n] of m.values) lines.push(`${full}${labels} ${n}`);
+        continue;
+      }
+      const value = m.collect();
+      if (!Array.isArray(value)) lines.push(`${full} ${value}`);
+      else for (const v of value) lines.push(`${full}${labelText(v.labels)} ${v.value}`);
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+/** Events in the last `windowMs`, for "per minute" gauges next to the counters. */
+export class RecentEvents {
+  constructor(windowMs = 60_000) {
+    this.windowMs = windowMs;
+    this.times = [];
+  }
+
+  add(now = Date.now()) {
+    this.times.push(now);
+    this.prune(now);
+  }
+
+  count(now = Date.now()) {
+    this.prune(now);
+    return this.times.length;
+  }
+
+  prune(now) {
+    const cutoff = now - this.windowMs;
+    let i = 0;
+    while (i < this.times.length && this.times[i] <= cutoff) i++;
+    if (i) this.times.splice(0, i);
+  }
+}
@@ -0,0 +1,40 @@
+// =====================
+// Ratings
+// =====================
+// Elo ratings for ranked matches, kept per season and per rules preset. A
+// multi-player match counts as every pair of players playing each other once:
+// the better finisher wins the pair, equal finishes draw. Each pairwise change
+// is scaled by 1 / (n - 1) so a match moves a rating about as much as one
+// head-to-head game would.
+
+export const INITIAL_RATING = 1500;
+const K = 32;
+
+/**
+ * Season a match belongs to: KABO_SEASON if set (leagues name their own
+ * seasons and reset by changing it), otherwise the calendar quarter.
+ */
+export function currentSeason(now = new Date(), env = process.env) {
+  if (env.KABO_SEASON) return env.KABO_SEASON;
+  return `${now.getUTCFullYear()}-Q${Math.floor(now.getUTCMonth() / 3) + 1}`;
+}
+
+const expected = (a, b) => 1 / (1 + 10 ** ((b - a) / 400));
+
+/**
+ * standings: [{ id, rating, place }] where a lower place is better.
+ * Returns { id: ratingChange }.
+ */
+export function eloChanges(standings) {
+  const changes = Object.fromEntries(standings.map(p => [p.id, 0]));
+  const scale = K / Math.max(standings.length - 1, 1);
+
+  for (const a of standings) {
+    for (const b of standings) {
+      if (a === b) continue;
+      const score = a.place < b.place ? 1 : a.place === b.place ? 0.5 : 0;
+      changes[a.id] += scale * (score - expected(a.rating, b.rating));
+    }
+  }
+  return changes;
+}
@@ -3,11 +3,29 @@ import http from "http";
 import { Server } from "socket.io";
 import cors from "cors";
 import crypto from "crypto";
+import { createStore } from "./storage.js";
+import { createCluster } from "./cluster.js";
+import { createAccounts, hashSecret, secretMatches, profileView } from "./accounts.js";
+import { currentSeason, eloChanges } from "./ratings.js";
+import { validatePayload, int, str, bool, oneOf, plainObject, optional, TokenBucket } from "./validation.js";
+import { createBot, resetMemory, observePrivate, observeMove, chooseMove } from "./bots.js";
+import { EMOTES, cleanText, requireEmote } from "./chat.js";
+import { Metrics, RecentEvents } from "./metrics.js";
+import { msg, KaboError, errorFields, logView, localeOf, DEFAULT_LOCALE } from "./i18n.js";
+import {
+  RULE_PRESETS, DEFAULT_PRESET, TEAMS, MIN_PLAYERS, ACTIONS, resolveRules, newTable, newSeat, newMatch, startGame, backToLobby,
+  activePlayers, currentTurnPlayer, sideOf, tallyOf, cardView, tableView, applyAction, playTimeout,
+  closeBurnWindow, closeRound, requestUndo, answerUndo, resendPrivateState, replayRound, replayView
+} from "./engine.js";
 
 const app = express();
 app.use(cors());
+app.use(express.json());
 app.get("/", (_, res) => res.send("Kabo server running"));
 
+/** Error bodies are { error, code, params }, worded for the caller's Accept-Language. */
+const sendError = (req, res, status, e) => res.status(status).json(errorFields(e, localeOf(req.get("accept-language"))));
+
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: { origin: "*", methods: ["GET", "POST"] }
@@ -15,1019 +33,1947 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 3000;
 
+// Counters bumped all over the server; the gauges and GET /metrics are under "Admin".
+const metrics = new Metrics("kabo");
+const gamesStarted = metrics.counter("games_started_total", "Rounds dealt.");
+const gamesFinished = metrics.counter("games_finished_total", "Rounds played to the end.");
+const handlerErrors = metrics.counter("handler_errors_total", "Socket events a handler answered with an error, by event.", { labelled: true });
+const inboundRejected = metrics.counter("inbound_rejected_total", "Socket events refused before their handler, by reason.", { labelled: true });
+const internalErrors = metrics.counter("internal_errors_total", "Failures in timers and bots, by source.", { labelled: true });
+const recentStarts = new RecentEvents();
+const recentFinishes = new RecentEvents();
+
+// Room codes are read out loud and typed on phones: no 0/O or 1/I.
+const ROOM_ID_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const ROOM_ID_LENGTH = 5;
+
+function roomId() {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    let id = "";
+    for (let i = 0; i < ROOM_ID_LENGTH; i++) id += ROOM_ID_ALPHABET[crypto.randomInt(ROOM_ID_ALPHABET.length)];
+    if (!rooms.has(id)) return id;
+  }
+  throw new KaboError("ROOM_CODE_UNAVAILABLE");
+}
+
+// Seats per room: host picks maxPlayers on create, clamped to this range.
+const MAX_PLAYERS = 6;
+
+function clampMaxPlayers(n) {
+  const v = parseInt(n, 10);
+  if (!Number.isFinite(v)) return MAX_PLAYERS;
+  return Math.min(MAX_PLAYERS, Math.max(MIN_PLAYERS, v));
+}
+
+const rooms = createStore();
+const accounts = createAccounts();
+
+// Rooms on this instance only: events for a room pinned elsewhere are sent to
+// its owner before any handler looks it up (see "Cluster").
+function getRoomOrThrow(id) {
+  const room = rooms.get(id);
+  if (!room) throw new KaboError("ROOM_NOT_FOUND");
+  return room;
+}
+
+// Seats outlive sockets: a dropped player keeps their seat (socketId = null)
+// for REJOIN_GRACE_MS and can reclaim it with the token handed out on create/join.
+const REJOIN_GRACE_MS = Number(process.env.REJOIN_GRACE_MS) || 60_000;
+const graceTimers = new Map(); // playerId -> timeout
+
+function holdSeat(room, p) {
+  p.socketId = null;
+  p.connected = false;
+  clearTimeout(graceTimers.get(p.id));
+  graceTimers.set(p.id, setTimeout(() => {
+    graceTimers.delete(p.id);
+    removePlayer(room, p.id);
+  }, REJOIN_GRACE_MS));
+}
+
+function newPlayer(socketId, name, accountId = null) {
+  return {
+    ...newSeat(name),
+    token: crypto.randomBytes(24).toString("hex"),
+    accountId,
+    socketId,
+    connected: true
+  };
+}
+
+function ensurePlayer(room, socketId) {
+  const idx = room.players.findIndex(p => p.socketId === socketId);
+  if (idx < 0) throw new KaboError("NOT_IN_ROOM");
+  return idx;
+}
+
+function emitToPlayer(room, playerId, event, payload) {
+  const p = room.players.find(x => x.id === playerId);
+  if (p?.bot) observePrivate(p.bot, p.id, event, structuredClone(payload));
+  else if (p?.socketId) io.to(p.socketId).emit(event, payload);
+}
+
+// =====================
+// Player stats
+// =====================
+// Per-round counters on each seat (p.tally, see "Tallies" in engine.js) go into
+// the accounts of the seated players when a round ends.
+function matchWon(room, p) {
+  const winner = room.players.find(x => x.id === room.match.winnerId);
+  return !!winner && sideOf(room, winner) === sideOf(room, p);
+}
+
+function recordAccountStats(room) {
+  if (room.replay) return;
+  const lowest = room.ended.scores[0].score;
+  for (const entry of room.ended.scores) {
+    const p = room.players.find(x => x.id === entry.id);
+    if (!p?.accountId) continue;
+    const tally = tallyOf(p);
+    accounts.recordRound(p.accountId, {
+      score: entry.score,
+      won: entry.score === lowest,
+      caboCalled: room.caboCalledBy === p.id,
+      caboWon: entry.score === lowest,
+      burnsHit: tally.burnsHit,
+      burnsMissed: tally.burnsMissed,
+      powers: tally.powers
+    });
+  }
+  if (!room.match.over) return;
+  for (const p of room.players) {
+    if (p.accountId) accounts.recordMatch(p.accountId, matchWon(room, p));
+  }
+  if (room.ranked) rateMatch(room);
+}
+
+// =====================
+// Ranked play
+// =====================
+// Ranked rooms use a preset exactly as shipped, seat only registered accounts
+// (one seat each, no bots) and rate the match when it finishes. Places come
+// from the match: the winner first, everyone else by total.
+function requireStockRules(rules) {
+  if (Object.keys(rules ?? {}).some(k => k !== "preset")) throw new KaboError("RANKED_STOCK_RULES");
+}
+
+function requireRankedSeat(room, socket) {
+  if (room && !room.ranked) return;
+  const account = socket.data.account;
+  if (!account || account.guest) throw new KaboError("RANKED_ACCOUNT_REQUIRED");
+  if (room?.players.some(p => p.accountId === account.id)) throw new KaboError("ALREADY_SEATED_ACCOUNT");
+}
+
+function ratingOf(room, p) {
+  return p.accountId ? accounts.ratingOf(p.accountId, currentSeason(), room.rules.preset).rating : null;
+}
+
+function averageRating(room) {
+  const ratings = room.players.map(p => ratingOf(room, p)).filter(r => r !== null);
+  return ratings.length ? Math.round(ratings.reduce((a, b) => a + b, 0) / ratings.length) : null;
+}
+
+function rateMatch(room) {
+  const season = currentSeason();
+  const { totals, winnerId } = room.match;
+  const rated = room.players
+    .filter(p => p.accountId)
+    .sort((a, b) => (b.id === winnerId) - (a.id === winnerId) || totals[a.id] - totals[b.id]);
+
+  const standings = rated.map(p => ({
+    id: p.accountId,
+    rating: accounts.ratingOf(p.accountId, season, room.rules.preset).rating,
+    // equal totals share a place, except nobody ties the winner
+    place: p.id === winnerId ? 0 : 1 + rated.findIndex(q => q.id !== winnerId && totals[q.id] === totals[p.id])
+  }));
+  if (standings.length < 2) return;
+
+  const changes = eloChanges(standings);
+  accounts.applyRatings(season, room.rules.preset, Object.fromEntries(rated.map(p => [
+    p.accountId,
+    { delta: changes[p.accountId], won: p.id === winnerId }
+  ])));
+  room.log.push(msg("RATINGS_UPDATED", {
+    preset: room.rules.preset,
+    season,
+    changes: rated.map(p => `${p.name} ${changes[p.accountId] >= 0 ? "+" : ""}${changes[p.accountId].toFixed(1)}`).join(", ")
+  }));
+}
+
+// The table as tableView (engine.js) shows it to one seat, or to spectators with
+// viewerId null, plus what the server keeps about the room.
+function publicState(room, viewerId, locale = DEFAULT_LOCALE) {
+  const table = tableView(room, viewerId, locale);
+  return {
+    id: room.id,
+    maxPlayers: room.maxPlayers,
+    visibility: room.visibility,
+    locked: !!room.password,
+    ranked: !!room.ranked,
+    ...table,
+    players: table.players.map((view, i) => {
+      const p = room.players[i];
+      return { ...view, connected: p.connected, bot: p.bot?.level ?? null, rating: ratingOf(room, p) };
+    }),
+    hostId: room.hostId,
+    joinLocked: !!room.joinLocked,
+    restartVote: room.restartVote ?? null,
+    deadline: room.deadline || null,
+    spectators: room.spectators.map(s => ({ id: s.id, name: s.name })),
+    spectatorFeed: room.spectatorFeed,
+
+    // valentine
+    valentineUnlocked: room.valentineUnlocked,
+    valState: room.valState
+  };
+}
+
 // =====================
-// Deck + Values
+// Spectators
 // =====================
-const suits = ["S", "H", "D", "C"];
-const ranks = ["A","2","3","4","5","6","7","8","9","10","J","Q","K"];
+// Live spectators get publicState(room, null): the same masked view as a seated
+// player minus anything private. The omniscient feed (host opt-in, for casting)
+// shows every hand but only after spectatorFeed.delayMs.
+const MAX_SPECTATORS = 50;
+const OMNISCIENT_DELAY_MS = { min: 5_000, max: 300_000, default: 30_000 };
+
+const liveChannel = (id) => `spec:${id}`;
+const omniChannel = (id) => `omni:${id}`;
+
+function omniscientState(room) {
+  const state = publicState(room, null);
+  state.players = state.players.map((p, i) => ({
+    ...p,
+    hand: room.players[i].hand.map(c => cardView(c, room.rules))
+  }));
+  state.activeDraw = room.activeDraw ? { ...room.activeDraw, card: cardView(room.activeDraw.card, room.rules) } : null;
+  state.pending = room.pending;
+  state.centerPower = room.centerPower;
+  state.omniscient = true;
+  return structuredClone(state);
+}
+
+function emitSpectators(room) {
+  if (room.spectators.length === 0) return;
+  io.to(liveChannel(room.id)).emit("room:update", { ...publicState(room, null), spectator: true });
 
-function makeDeck() {
-  const deck = [];
-  for (const s of suits) for (const r of ranks) deck.push({ r, s });
-  return deck;
+  if (room.spectatorFeed.omniscient) {
+    const snapshot = omniscientState(room);
+    setTimeout(() => io.to(omniChannel(room.id)).emit("room:update", snapshot), room.spectatorFeed.delayMs);
+  }
 }
 
-function baseValue(card) {
-  if (card.r === "A") return 1;
-  if (card.r === "J") return 11;
-  if (card.r === "Q") return 12;
-  if (card.r === "K") return 13;
-  return parseInt(card.r, 10);
+/** The locale a connected socket asked for (see session:setLocale). */
+function socketLocale(socketId) {
+  return io.sockets.sockets.get(socketId)?.data.locale ?? remoteLocales.get(socketId) ?? DEFAULT_LOCALE;
 }
 
-// scoring value: K♥ / K♦ is -1 if held in hand
-function scoreValue(card) {
-  if (card.r === "K" && (card.s === "H" || card.s === "D")) return -1;
-  return baseValue(card);
+function emitToSeat(room, p) {
+  if (p.socketId) io.to(p.socketId).emit("room:update", publicState(room, p.id, socketLocale(p.socketId)));
 }
 
-function shuffle(a) {
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = crypto.randomInt(0, i + 1);
-    [a[i], a[j]] = [a[j], a[i]];
+/** Resend a socket's seats, e.g. after it changed language. */
+function reemitSeats(socketId) {
+  for (const room of rooms.values()) {
+    const p = room.players.find(q => q.socketId === socketId);
+    if (p) emitToSeat(room, p);
   }
-  return a;
 }
 
-function roomId() {
-  return Math.random().toString(36).slice(2, 7).toUpperCase();
+// Every mutation ends in emitRoom, so this is also where the snapshot is taken.
+function emitRoom(room) {
+  scheduleDeadline(room);
+  syncBurnTimer(room);
+  scheduleBots(room);
+  rooms.save(room);
+  for (const p of room.players) emitToSeat(room, p);
+  emitSpectators(room);
+}
+
+// =====================
+// Chat
+// =====================
+// Two channels per room. "players" is the table talk: seated players write it and
+// spectators may read along. "spectators" is never sent to a seat, so watchers
+// cannot pass on what they see. A message is text, a built-in emote, or an emote
+// reacting to one line of the round log. Anyone can mute a sender for themselves:
+// that sender's messages are then neither delivered to them nor in their history.
+const CHAT_HISTORY_LIMIT = 100; // per channel
+
+function newChat() {
+  return { seq: 0, players: [], spectators: [] };
+}
+
+/** The seat or spectator behind a socket and the channel they write to. */
+function chatMember(room, socketId) {
+  const player = room.players.find(p => p.socketId === socketId);
+  if (player) return { member: player, channel: "players" };
+  const spectator = room.spectators.find(s => s.socketId === socketId);
+  if (spectator) return { member: spectator, channel: "spectators" };
+  throw new KaboError("NOT_IN_ROOM");
+}
+
+function postChat(room, sender, channel, { text, emote, reactTo }) {
+  const body = text !== undefined ? { text: cleanText(text) } : { emote: requireEmote(emote) };
+  if (reactTo !== undefined) {
+    if (body.text) throw new KaboError("CHAT_REACT_EMOTE_ONLY");
+    if (reactTo >= room.log.length) throw new KaboError("CHAT_NO_LOG_LINE");
+    body.reactTo = { round: room.match?.round ?? 0, index: reactTo, line: logView(room.log[reactTo]) };
+  }
+
+  const message = { id: ++room.chat.seq, channel, from: sender.id, name: sender.name, at: Date.now(), ...body };
+  const history = room.chat[channel];
+  history.push(message);
+  history.splice(0, history.length - CHAT_HISTORY_LIMIT);
+  const readers = channel === "players" ? [...room.players, ...room.spectators] : room.spectators;
+  for (const r of readers) {
+    if (r.socketId && !r.muted?.includes(sender.id)) io.to(r.socketId).emit("chat:message", { roomId: room.id, ...message });
+  }
+  rooms.save(room);
+  return message;
+}
+
+function chatHistory(room, reader) {
+  const channels = room.players.includes(reader) ? ["players"] : ["players", "spectators"];
+  return channels
+    .flatMap(c => room.chat[c])
+    .filter(m => !reader.muted?.includes(m.from))
+    .sort((a, b) => a.id - b.id);
+}
+
+function unlockValentine(room) {
+  room.valentineUnlocked = true;
+  room.log.push(msg("VALENTINE_UNLOCKED"));
+  for (const p of room.players) {
+    if (p.socketId) io.to(p.socketId).emit("val:unlocked", { ok: true, valState: room.valState });
+  }
+}
+
+/** Deal a round (startGame) and reset what the server keeps per round. */
+function deal(room, options) {
+  startGame(room, options);
+  room.valentineUnlocked = false;
+  room.valState = { noClicks: 0, accepted: false };
+  const counts = Object.fromEntries(activePlayers(room).map(p => [p.id, p.hand.length]));
+  for (const p of room.players) if (p.bot) resetMemory(p.bot, counts);
+  gamesStarted.inc();
+  recentStarts.add();
+}
+
+/** A round just ended: book it to the seated accounts and the metrics. */
+function bookRound(room) {
+  room.restartVote = null;
+  recordAccountStats(room);
+  unlockValentine(room);
+  gamesFinished.inc();
+  recentFinishes.add();
 }
 
-function isPowerCard(card) {
-  return ["7","8","9","10","J","Q","K"].includes(card.r);
+function removePlayer(room, playerId) {
+  const idx = room.players.findIndex(p => p.id === playerId);
+  if (idx < 0 || rooms.get(room.id) !== room) return;
+
+  const name = room.players[idx].name;
+  room.players.splice(idx, 1);
+  room.log.push(msg("LEFT", { name }));
+
+  if (!room.players.some(p => !p.bot)) {
+    closeRoom(room);
+    return;
+  }
+
+  if (room.started) {
+    room.restartVote = null;
+    backToLobby(room);
+  }
+
+  // the host is always a person
+  if (room.hostId === playerId) {
+    const host = room.players.find(p => !p.bot);
+    room.hostId = host.id;
+    room.log.push(msg("NEW_HOST", { name: host.name }));
+  }
+  emitRoom(room);
+}
+
+/** Cancel everything this instance has scheduled for a room, leaving its state alone. */
+function stopTimers(room) {
+  clearDeadline(room);
+  clearTimeout(burnTimers.get(room.id)?.handle);
+  burnTimers.delete(room.id);
+  clearTimeout(botTimers.get(room.id));
+  botTimers.delete(room.id);
+  for (const p of room.players) {
+    clearTimeout(graceTimers.get(p.id));
+    graceTimers.delete(p.id);
+  }
 }
 
-function sameRank(a, b) {
-  return a && b && a.r === b.r;
+/** Drop a room for good: its timers stop and everyone still in it is told. */
+function closeRoom(room) {
+  stopTimers(room);
+  rooms.delete(room.id);
+  cluster.release(room.id).catch(e => console.error(`Releasing room ${room.id} failed:`, e.message));
+  const channels = [room.id, liveChannel(room.id), omniChannel(room.id)];
+  io.to(channels).emit("room:closed", { roomId: room.id });
+  io.in(channels).socketsLeave(channels);
+}
+
+// =====================
+// Host moderation
+// =====================
+// room.hostId is the one seat that may start, deal, change rules and seats, and
+// moderate. It only moves by room:transferHost or when the host leaves (to the
+// first person left in seat order). Kicks are for the lobby: once a match has
+// started, losing a seat would send the table back to it. Kicked accounts and
+// sockets cannot take a seat in the room again. A new match can only be started
+// from the lobby or once the last one is over; mid-match, a round restart needs
+// every person still in the match to agree, and bots always do.
+
+function requireHost(room, socket, what) {
+  const host = room.players.find(p => p.id === room.hostId);
+  if (!host || host.socketId !== socket.id) throw new KaboError("HOST_ONLY", { action: msg(`HOST_ACTION_${what}`) });
+  return host;
+}
+
+function kickPlayer(room, playerId) {
+  const p = room.players.find(x => x.id === playerId);
+  if (!p) throw new KaboError("NO_SUCH_PLAYER");
+  if (p.id === room.hostId) throw new KaboError("HOST_NOT_KICKABLE");
+  if (room.started) throw new KaboError("KICK_LOBBY_ONLY");
+
+  if (p.accountId) room.kickedAccounts = [...(room.kickedAccounts ?? []), p.accountId];
+  if (p.socketId) room.kickedSockets = [...(room.kickedSockets ?? []), p.socketId];
+  clearTimeout(graceTimers.get(p.id));
+  graceTimers.delete(p.id);
+  if (p.socketId) {
+    io.to(p.socketId).emit("room:kicked", { roomId: room.id });
+    io.in(p.socketId).socketsLeave(room.id);
+  }
+  room.log.push(msg("KICKED_BY_HOST", { name: p.name }));
+  removePlayer(room, p.id);
+}
+
+/** People who have to agree to a restart. */
+function restartVoters(room) {
+  return activePlayers(room).filter(p => !p.bot);
+}
+
+function voteRestart(room, p, accept) {
+  if (!room.started || room.phase === "ENDED") throw new KaboError("NO_ROUND");
+  if (p.eliminated) throw new KaboError("ELIMINATED");
+
+  if (!room.restartVote) {
+    if (!accept) throw new KaboError("NO_RESTART_PROPOSED");
+    if (p.id !== room.hostId) throw new KaboError("RESTART_HOST_ONLY");
+    room.restartVote = { by: p.id, accepted: [] };
+    room.log.push(msg("RESTART_PROPOSED", { name: p.name }));
+  }
+  if (!accept) {
+    room.restartVote = null;
+    room.log.push(msg("RESTART_DECLINED", { name: p.name }));
+    return;
+  }
+  if (!room.restartVote.accepted.includes(p.id)) room.restartVote.accepted.push(p.id);
+  if (restartVoters(room).some(x => !room.restartVote.accepted.includes(x.id))) return;
+
+  room.restartVote = null;
+  deal(room, { restart: true });
+  room.log.push(msg("RESTARTED", { round: room.match.round }));
+}
+
+// =====================
+// Moves
+// =====================
+// Every change to the game goes through engine.js. What a call has to show
+// somebody comes back as events, delivered here; a round the call ended is
+// booked right after.
+
+/** Run an engine call on `room`, deliver its events and book a round it ended. */
+function play(room, call) {
+  const wasEnded = room.phase === "ENDED";
+  const result = call();
+  for (const e of result.events) deliver(room, e);
+  if (!wasEnded && room.phase === "ENDED") bookRound(room);
+  return result;
+}
+
+/** An engine event to its seat, or with no playerId to the table and live spectators. */
+function deliver(room, { playerId, event, payload }) {
+  if (playerId) return emitToPlayer(room, playerId, event, payload);
+  io.to(room.id).to(liveChannel(room.id)).emit(event, payload);
+  if (event !== "burn:resolved") return;
+  for (const entry of payload.results) {
+    for (const p of room.players) {
+      if (p.bot) observeMove(p.bot, p.id, { type: "burn:resolved", playerId: entry.playerId, payload: entry, result: entry.result });
+    }
+  }
 }
 
 /**
- * RULE: draw pile only.
- * If draw pile empty => recycle discard into draw by shuffling.
+ * Apply a player's move and broadcast the result. receivedAt orders burn
+ * attempts within their window, so it is kept with them.
  */
-function refillDrawPileIfNeeded(room) {
-  if (room.drawPile.length > 0) return;
-  if (room.discardPile.length === 0) throw new Error("No cards left to draw");
-  room.drawPile = shuffle(room.discardPile.splice(0));
-  room.log.push("Draw pile refilled from center pile (reshuffled).");
+function runAction(room, me, event, payload, receivedAt = Date.now()) {
+  const { reply, move } = play(room, () => applyAction(room, me.id, { type: event, payload, at: receivedAt }));
+  for (const p of room.players) if (p.bot) observeMove(p.bot, p.id, move);
+  emitRoom(room);
+  return reply;
 }
 
-const rooms = new Map();
+// =====================
+// Burn windows
+// =====================
+// An open burn window (see "Burn windows" in engine.js) closes at its closesAt.
+// Every change ends in emitRoom, which arms the timer, moves it when a take-back
+// restarts the window and drops it once the window is gone.
+const burnTimers = new Map(); // roomId -> { key, handle }
+
+function syncBurnTimer(room) {
+  const window = room.burnWindow;
+  const key = window ? `${window.id}:${window.closesAt}` : null;
+  const current = burnTimers.get(room.id);
+  if (current?.key === key) return;
+
+  clearTimeout(current?.handle);
+  burnTimers.delete(room.id);
+  if (!key) return;
+  burnTimers.set(room.id, { key, handle: setTimeout(() => onBurnWindowClosed(room, key), Math.max(window.closesAt - Date.now(), 0)) });
+}
 
-function getRoomOrThrow(id) {
-  const room = rooms.get(id);
-  if (!room) throw new Error("Room not found");
-  return room;
+function onBurnWindowClosed(room, key) {
+  if (rooms.get(room.id) !== room || burnTimers.get(room.id)?.key !== key) return;
+  burnTimers.delete(room.id);
+  // nobody tried: nothing to record or broadcast
+  if (room.burnWindow.attempts.length === 0) {
+    room.burnWindow = null;
+    return;
+  }
+  try {
+    play(room, () => closeBurnWindow(room));
+  } catch (e) {
+    console.error(`Resolving burns in room ${room.id} failed:`, e.message);
+    internalErrors.inc({ source: "burnWindow" });
+  }
+  emitRoom(room);
 }
 
-function ensurePlayer(room, socketId) {
-  const idx = room.players.findIndex(p => p.socketId === socketId);
-  if (idx < 0) throw new Error("Not in room");
-  return idx;
+// Attempts are ordered by when they reached the server, less half the sender's
+// measured round trip (capped, so a slow link cannot buy much of a head start).
+const LATENCY_PROBE_MS = 5_000;
+const MAX_LATENCY_CREDIT_MS = 150;
+
+function probeLatency(socket) {
+  const sent = Date.now();
+  socket.timeout(2_000).emit("latency:ping", sent, (err) => {
+    if (err) return;
+    const rtt = Date.now() - sent;
+    socket.data.rtt = socket.data.rtt === undefined ? rtt : 0.8 * socket.data.rtt + 0.2 * rtt;
+  });
+}
+
+function burnReceivedAt(socket) {
+  return Date.now() - Math.min((socket.data.rtt ?? 0) / 2, MAX_LATENCY_CREDIT_MS);
 }
 
-function currentTurnSocket(room) {
-  return room.players[room.turnIndex]?.socketId ?? null;
+// =====================
+// Turn timers
+// =====================
+// One server-side deadline per room for whatever the game is waiting on. The
+// deadline is re-armed whenever the thing being waited on changes (phase,
+// player, pending King, new turn) and is published in publicState. On expiry
+// playTimeout (see "Timeouts" in engine.js) makes the safe move for the player.
+const turnTimers = new Map(); // roomId -> { key, handle }
+
+function deadlineFor(room) {
+  const t = room.rules.timers;
+  const playerId = currentTurnPlayer(room);
+  switch (room.started ? room.phase : "LOBBY") {
+    case "PEEK": return { kind: "peek", ms: t.peekMs, playerId: null };
+    case "TURN_DRAW":
+    case "LAST_TURN": return { kind: "draw", ms: t.drawMs, playerId };
+    case "TURN_DECIDE":
+    case "CENTER_POWER":
+      if (room.pending?.type === "KING_CONFIRM") return { kind: "kingConfirm", ms: t.powerMs, playerId };
+      return room.phase === "TURN_DECIDE"
+        ? { kind: "decide", ms: t.decideMs, playerId }
+        : { kind: "centerPower", ms: t.powerMs, playerId: room.centerPower?.ownerId };
+    default: return null;
+  }
 }
 
-function ensureTurn(room, socketId) {
-  if (currentTurnSocket(room) !== socketId) throw new Error("Not your turn");
+// `resume` keeps a deadline that was already running, for a room taken over from
+// another instance.
+function scheduleDeadline(room, resume = false) {
+  const d = deadlineFor(room);
+  const key = d?.ms ? `${room.match?.round}:${room.turnSeq}:${d.kind}:${d.playerId}` : null;
+  const current = turnTimers.get(room.id);
+  // a take-back clears room.deadline so the same wait starts over
+  if (current && current.key === key && room.deadline) return;
+
+  if (current) clearTimeout(current.handle);
+  turnTimers.delete(room.id);
+  const running = resume && key && room.deadline?.kind === d.kind && room.deadline.playerId === d.playerId ? room.deadline.at : null;
+  room.deadline = null;
+  if (!key) return;
+
+  const at = running ?? Date.now() + d.ms;
+  room.deadline = { kind: d.kind, playerId: d.playerId, at };
+  turnTimers.set(room.id, { key, handle: setTimeout(() => onDeadline(room, key), Math.max(at - Date.now(), 0)) });
 }
 
-function computeHandSum(room, socketId) {
-  const p = room.players.find(x => x.socketId === socketId);
-  if (!p) throw new Error("Not in room");
-  return p.hand.reduce((sum, c) => sum + scoreValue(c), 0);
+function clearDeadline(room) {
+  clearTimeout(turnTimers.get(room.id)?.handle);
+  turnTimers.delete(room.id);
+}
+
+function onDeadline(room, key) {
+  if (rooms.get(room.id) !== room || turnTimers.get(room.id)?.key !== key) return;
+  turnTimers.delete(room.id);
+  try {
+    const { kind, playerId } = room.deadline;
+    play(room, () => playTimeout(room, kind, playerId));
+  } catch (e) {
+    console.error(`Auto-play in room ${room.id} failed:`, e.message);
+    internalErrors.inc({ source: "autoPlay" });
+  }
+  emitRoom(room);
 }
 
-function startGame(room) {
-  if (room.players.length !== 2) throw new Error("Need 2 players");
+// =====================
+// Bots
+// =====================
+// Bot seats are driven from here, one move per tick, through runAction like any
+// other player. A tick is armed by every emitRoom, so bots react to whatever just
+// happened; if no bot has anything to do the room waits for the humans.
+const BOT_DELAY_MS = Number(process.env.BOT_DELAY_MS) || 800;
+const botTimers = new Map(); // roomId -> timeout
+
+function newBot(room, level, name) {
+  const bot = createBot(level);
+  const n = room.players.filter(p => p.bot).length + 1;
+  return { ...newPlayer(null, (name || `Bot ${n} (${bot.level})`).slice(0, 16)), token: null, bot };
+}
 
-  const deck = shuffle(makeDeck());
+function scheduleBots(room) {
+  if (botTimers.has(room.id) || !room.started || !room.players.some(p => p.bot)) return;
+  botTimers.set(room.id, setTimeout(() => {
+    botTimers.delete(room.id);
+    if (rooms.get(room.id) === room) runBots(room);
+  }, BOT_DELAY_MS));
+}
 
+function runBots(room) {
   for (const p of room.players) {
-    p.hand = [deck.pop(), deck.pop(), deck.pop(), deck.pop()];
-    p.peeksLeft = 2;
+    if (!p.bot) continue;
+    const move = chooseMove(p.bot, publicState(room, p.id), p.id);
+    if (!move) continue;
+    try {
+      runAction(room, p, ...move);
+      return;
+    } catch (e) {
+      // the turn timer still covers a bot that gets stuck
+      console.error(`Bot ${p.name} in room ${room.id} tried ${move[0]}:`, e.message);
+      internalErrors.inc({ source: "bot" });
+    }
   }
+}
 
-  room.drawPile = deck;
-  room.discardPile = [];
-  room.started = true;
-  room.turnIndex = 0;
-  room.phase = "PEEK";
-  room.activeDraw = null;
-  room.caboCalledBy = null;
-  room.lastTurnFor = null;
-  room.skipNextFor = null;
-  room.pending = null;
-  room.log = ["Game started. Each player: peek 2 cards (flip for 3s)."];
-  room.ended = null;
-  room.centerPower = null;
+// =====================
+// Round records
+// =====================
+// Finished rounds (room.rounds, see "Round history + replay" in engine.js) are
+// served by the instance holding the room, whole or replayed up to any step.
+
+/** A room's round records, asked of the instance holding it if that is not this one. */
+async function roundsOf(roomIdParam) {
+  const id = String(roomIdParam).toUpperCase();
+  if (rooms.has(id)) return rooms.get(id).rounds || [];
+  const owner = await cluster.owner(id);
+  if (!owner || owner === INSTANCE_ID) throw new KaboError("ROOM_NOT_FOUND");
+  return askInstance(owner, "rounds", { roomId: id });
+}
 
-  room.valentineUnlocked = false;
-  room.valState = { noClicks: 0, accepted: false };
+async function finishedRoundOrThrow(roomIdParam, roundParam) {
+  const record = (await roundsOf(roomIdParam)).find(r => r.round === Number(roundParam));
+  if (!record) throw new KaboError("ROUND_NOT_FOUND");
+  return record;
 }
 
-function scores(room) {
-  const s = room.players.map(p => ({
-    name: p.name,
-    score: p.hand.reduce((sum, c) => sum + scoreValue(c), 0)
-  }));
-  s.sort((a,b)=>a.score-b.score);
-  return { scores: s, winnerName: s[0].name };
-}
-
-function publicState(room, viewerSocketId) {
-  const players = room.players.map(p => {
-    const isMe = p.socketId === viewerSocketId;
-    return {
-      socketId: p.socketId,
-      name: p.name,
-      peeksLeft: p.peeksLeft,
-      hand: room.phase === "ENDED"
-        ? p.hand.map(c => ({ ...c, base: baseValue(c), score: scoreValue(c) }))
-        : p.hand.map(() => null),
-      handCount: p.hand.length,
-      isMe
-    };
-  });
+app.get("/rooms/:id/rounds", async (req, res) => {
+  try {
+    res.json((await roundsOf(req.params.id)).map(r => ({
+      round: r.round,
+      startedAt: r.startedAt,
+      endedAt: r.endedAt,
+      actions: r.actions.length,
+      winnerName: r.result?.winnerName ?? null
+    })));
+  } catch (e) {
+    sendError(req, res, 404, e);
+  }
+});
 
-  const top = room.discardPile.at(-1) || null;
+app.get("/rooms/:id/rounds/:round", async (req, res) => {
+  try {
+    const record = await finishedRoundOrThrow(req.params.id, req.params.round);
+    res.attachment(`kabo-${record.roomId}-round-${record.round}.json`);
+    res.json(record);
+  } catch (e) {
+    sendError(req, res, 404, e);
+  }
+});
 
-  return {
-    id: room.id,
-    started: room.started,
-    phase: room.phase,
-    players,
-    turnSocketId: room.started ? currentTurnSocket(room) : null,
-    drawCount: room.drawPile.length,
-    discardCount: room.discardPile.length,
-    discardTop: top ? ({ ...top, base: baseValue(top), score: scoreValue(top) }) : null,
-    caboCalledBy: room.caboCalledBy,
-    lastTurnFor: room.lastTurnFor,
-    log: room.log.slice(-14),
-    ended: room.ended || null,
+// ?step=N -> state after action N (omit for the final state)
+app.get("/rooms/:id/rounds/:round/replay", async (req, res) => {
+  let record;
+  try {
+    record = await finishedRoundOrThrow(req.params.id, req.params.round);
+  } catch (e) {
+    return sendError(req, res, 404, e);
+  }
+  try {
+    const step = req.query.step === undefined ? Infinity : Number(req.query.step);
+    if (Number.isNaN(step) || step < 0) throw new KaboError("BAD_STEP");
+    res.json({ step: Number.isFinite(step) ? step : record.actions.length, state: replayView(replayRound(record, step), localeOf(req.get("accept-language"))) });
+  } catch (e) {
+    sendError(req, res, 400, e);
+  }
+});
 
-    // valentine
-    valentineUnlocked: room.valentineUnlocked,
-    valState: room.valState
+// =====================
+// Lobby + matchmaking
+// =====================
+// Public rooms that have not started are listed (lobby:list, GET /rooms);
+// private rooms are only reachable by code. Either kind may carry a password,
+// kept as a salted hash. queue:join seats waiting players of the same
+// preset together in a fresh private room and deals straight away.
+const QUEUE_ROOM_SIZE = 2;
+const matchQueues = new Map(); // preset -> [{ socketId, name }]
+
+function checkPassword(room, password) {
+  if (!room.password) return;
+  if (typeof password !== "string") throw new KaboError("PASSWORD_REQUIRED");
+  if (!secretMatches(password, room.password)) throw new KaboError("WRONG_PASSWORD");
+}
+
+function newRoom({ maxPlayers, rules, seed, visibility = "public", password, ranked = false } = {}) {
+  if (ranked) requireStockRules(rules);
+  if (ranked && seed !== undefined) throw new KaboError("RANKED_SEEDED");
+  if (seed !== undefined && (typeof seed !== "string" || seed.length < 1 || seed.length > 128)) {
+    throw new KaboError("BAD_SEED");
+  }
+  if (!["public", "private"].includes(visibility)) throw new KaboError("BAD_VISIBILITY");
+  if (password !== undefined && (typeof password !== "string" || password.length < 1 || password.length > 64)) {
+    throw new KaboError("BAD_ROOM_PASSWORD");
+  }
+
+  const id = roomId();
+  const room = {
+    // the game's own fields, see "Tables + seats" in engine.js
+    ...newTable({ id, rules, seed, ranked }),
+    createdAt: Date.now(),
+    maxPlayers: clampMaxPlayers(maxPlayers),
+    visibility,
+    password: password === undefined ? null : hashSecret(password),
+    hostId: null,
+    joinLocked: false,
+    kickedAccounts: [],
+    kickedSockets: [],
+    restartVote: null,
+    spectators: [],
+    spectatorFeed: { omniscient: false, delayMs: OMNISCIENT_DELAY_MS.default },
+    chat: newChat(),
+    valentineUnlocked: false,
+    valState: { noClicks: 0, accepted: false }
   };
+  rooms.set(id, room);
+  return room;
 }
 
-function emitRoom(room) {
-  for (const p of room.players) {
-    io.to(p.socketId).emit("room:update", publicState(room, p.socketId));
+/** newRoom with a code no other instance holds. */
+async function openRoom(options) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const room = newRoom(options);
+    if (await cluster.claim(room.id)) return room;
+    rooms.delete(room.id);
   }
+  throw new KaboError("ROOM_CODE_UNAVAILABLE");
 }
 
-function unlockValentine(room) {
-  room.valentineUnlocked = true;
-  room.log.push("Valentine page unlocked 💜");
+function lobbyListing() {
+  return [...rooms.values()]
+    .filter(r => r.visibility === "public" && !r.started && !r.joinLocked && r.players.length < r.maxPlayers)
+    .map(r => ({
+      id: r.id,
+      host: r.players.find(p => p.id === r.hostId)?.name ?? null,
+      players: r.players.length,
+      bots: r.players.filter(p => p.bot).length,
+      maxPlayers: r.maxPlayers,
+      locked: !!r.password,
+      ranked: !!r.ranked,
+      rating: averageRating(r),
+      rules: r.rules
+    }));
+}
+
+function leaveQueues(socketId) {
+  for (const [preset, queue] of matchQueues) {
+    const rest = queue.filter(q => q.socketId !== socketId);
+    if (rest.length) matchQueues.set(preset, rest);
+    else matchQueues.delete(preset);
+  }
+}
+
+/** Seat the first QUEUE_ROOM_SIZE connected players waiting for `preset` in a new room. */
+async function drainQueue(preset) {
+  const connected = (q) => io.sockets.sockets.has(q.socketId);
+  const queue = (matchQueues.get(preset) || []).filter(connected);
+  matchQueues.set(preset, queue);
+  if (queue.length < QUEUE_ROOM_SIZE) return;
+
+  const group = queue.splice(0, QUEUE_ROOM_SIZE);
+  let room;
+  try {
+    room = await openRoom({ maxPlayers: QUEUE_ROOM_SIZE, rules: { preset }, visibility: "private" });
+  } catch (e) {
+    console.error(`Opening a ${preset} queue room failed:`, e.message);
+    queue.unshift(...group);
+    return;
+  }
+  // somebody may have left while the code was claimed: the rest wait on
+  if (!group.every(connected)) {
+    closeRoom(room);
+    queue.unshift(...group.filter(connected));
+    return;
+  }
+  for (const q of group) {
+    room.players.push(newPlayer(q.socketId, q.name, q.accountId));
+    io.in(q.socketId).socketsJoin(room.id);
+  }
+  room.hostId = room.players[0].id;
+  room.log.push(msg("QUEUE_MATCHED", { preset, players: room.players.map(p => p.name).join(", ") }));
+  newMatch(room);
+  deal(room);
+  emitRoom(room);
+
   for (const p of room.players) {
-    io.to(p.socketId).emit("val:unlocked", { ok: true, valState: room.valState });
+    io.to(p.socketId).emit("queue:matched", { roomId: room.id, playerId: p.id, token: p.token });
   }
 }
 
-function endRound(room) {
-  room.phase = "ENDED";
-  room.ended = scores(room);
-  room.log.push(`Round ended. Winner: ${room.ended.winnerName}`);
-  unlockValentine(room);
+app.get("/rooms", async (_, res) => res.json(await clusterLobby()));
+
+// =====================
+// Accounts + profiles
+// =====================
+// A socket may authenticate in the handshake with { auth: { token } } from one
+// of the POST /accounts* endpoints; its seats then count towards that account.
+// Sockets without a token still play anonymously.
+const LEADERBOARD_SORTS = { wins: -1, matchWins: -1, averageScore: 1, caboSuccessRate: -1, burnsHit: -1 }; // stat -> direction
+const LEADERBOARD_MIN_ROUNDS = 5;
+
+function displayName(socket, name, fallback) {
+  return (name || socket.data.account?.username || fallback).slice(0, 16);
 }
 
-function advanceTurn(room) {
-  if (room.lastTurnFor && currentTurnSocket(room) === room.lastTurnFor) {
-    endRound(room);
-    return;
+function sessionReply(res, { account, token }) {
+  res.json({ id: account.id, username: account.username, guest: account.guest, token });
+}
+
+app.post("/accounts", (req, res) => {
+  try {
+    sessionReply(res, accounts.register(req.body?.username, req.body?.password));
+  } catch (e) {
+    sendError(req, res, 400, e);
   }
+});
+
+app.post("/accounts/login", (req, res) => {
+  try {
+    sessionReply(res, accounts.login(req.body?.username, req.body?.password));
+  } catch (e) {
+    sendError(req, res, 401, e);
+  }
+});
+
+app.post("/accounts/guest", (_, res) => sessionReply(res, accounts.guest()));
 
-  room.turnIndex = (room.turnIndex + 1) % room.players.length;
+app.get("/profiles/:username", (req, res) => {
+  const account = accounts.byUsername(req.params.username);
+  if (!account) return sendError(req, res, 404, new KaboError("PROFILE_NOT_FOUND"));
+  res.json(profileView(account));
+});
 
-  const nextSock = currentTurnSocket(room);
-  if (room.skipNextFor && room.skipNextFor === nextSock) {
-    room.log.push(`${room.players[room.turnIndex].name} was skipped.`);
-    room.skipNextFor = null;
-    room.turnIndex = (room.turnIndex + 1) % room.players.length;
+// ?sort=wins|matchWins|averageScore|caboSuccessRate|burnsHit&limit=N; guests are not ranked.
+// ?sort=rating ranks ranked-match ratings instead, filtered by &preset= and &season=
+// (default: house, current season).
+app.get("/leaderboard", (req, res) => {
+  const sort = req.query.sort || "wins";
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+  if (sort === "rating") {
+    const preset = req.query.preset || DEFAULT_PRESET;
+    if (!Object.hasOwn(RULE_PRESETS, preset)) return sendError(req, res, 400, new KaboError("UNKNOWN_PRESET"));
+    const season = String(req.query.season || currentSeason());
+    return res.json({
+      season,
+      preset,
+      players: accounts.ratingTable(season, preset).slice(0, limit).map((p, i) => ({ rank: i + 1, ...p }))
+    });
   }
 
-  room.phase = "TURN_DRAW";
-  room.activeDraw = null;
-  room.pending = null;
-  room.log.push(`${room.players[room.turnIndex].name}'s turn.`);
+  const dir = Object.hasOwn(LEADERBOARD_SORTS, sort) ? LEADERBOARD_SORTS[sort] : null;
+  if (!dir) return sendError(req, res, 400, new KaboError("BAD_SORT"));
+
+  const ranked = [...accounts.byId.values()]
+    .filter(a => !a.guest && a.stats.rounds >= LEADERBOARD_MIN_ROUNDS)
+    .map(profileView)
+    .filter(p => p.stats[sort] !== null)
+    .sort((a, b) => dir * (a.stats[sort] - b.stats[sort]))
+    .slice(0, limit);
+  res.json(ranked.map((p, i) => ({ rank: i + 1, ...p })));
+});
+
+// =====================
+// Admin + metrics
+// =====================
+// /admin/* needs `Authorization: Bearer $KABO_ADMIN_TOKEN` and is switched off
+// (404) when that is unset. GET /metrics is open: it only has counts.
+const ADMIN_TOKEN = process.env.KABO_ADMIN_TOKEN || null;
+const NOTICE_MAX_LENGTH = 500;
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return sendError(req, res, 404, new KaboError("ADMIN_DISABLED"));
+  const [scheme, token = ""] = String(req.get("authorization") || "").split(" ");
+  const ok = scheme === "Bearer" && crypto.timingSafeEqual(Buffer.from(sha256(token)), Buffer.from(sha256(ADMIN_TOKEN)));
+  if (!ok) return sendError(req, res, 401, new KaboError("NOT_AUTHORIZED"));
+  next();
+}
+
+function adminSummary(room) {
+  return {
+    id: room.id,
+    phase: room.phase,
+    started: room.started,
+    round: room.match?.round ?? 0,
+    visibility: room.visibility,
+    ranked: !!room.ranked,
+    hostId: room.hostId,
+    players: room.players.map(p => ({ id: p.id, name: p.name, connected: p.connected, bot: p.bot?.level ?? null, afk: !!p.afk })),
+    spectators: room.spectators.length,
+    createdAt: room.createdAt,
+    ageMs: Date.now() - room.createdAt
+  };
+}
+
+/** Everything about a room except what would let someone take a seat or open it. */
+function adminView(room) {
+  const { password: _, ...rest } = room;
+  return { ...structuredClone(rest), players: rest.players.map(({ token: _t, ...p }) => structuredClone(p)) };
+}
+
+/** End the round as the hands lie and close the match; a cut-short match is not rated. */
+function forceEnd(room) {
+  if (!room.started || !room.match || (room.match.over && room.phase === "ENDED")) throw new KaboError("NO_GAME");
+  if (room.phase !== "ENDED") play(room, () => closeRound(room));
+  const match = room.match;
+  if (!match.over) {
+    const winner = [...activePlayers(room)].sort((a, b) => match.totals[a.id] - match.totals[b.id])[0];
+    match.over = true;
+    match.winnerId = winner.id;
+    match.winnerTeam = room.rules.teams ? winner.team : null;
+    room.log.push(msg("MATCH_ENDED_BY_ADMIN", { name: winner.name, total: match.totals[winner.id] }));
+  }
 }
 
-function maybeEnterCenterPower(room, ownerSocketId, cardJustPlacedOnCenter) {
-  if (!isPowerCard(cardJustPlacedOnCenter)) return false;
+const admin = express.Router();
+admin.use(requireAdmin);
+app.use("/admin", admin);
+
+admin.get("/rooms", (_, res) => res.json([...rooms.values()].map(adminSummary)));
 
-  room.centerPower = { card: cardJustPlacedOnCenter, ownerSocketId };
-  room.phase = "CENTER_POWER";
+admin.get("/rooms/:id", (req, res) => {
+  try {
+    res.json(adminView(getRoomOrThrow(String(req.params.id).toUpperCase())));
+  } catch (e) {
+    sendError(req, res, 404, e);
+  }
+});
+
+admin.post("/rooms/:id/end", (req, res) => {
+  let room;
+  try {
+    room = getRoomOrThrow(String(req.params.id).toUpperCase());
+  } catch (e) {
+    return sendError(req, res, 404, e);
+  }
+  try {
+    forceEnd(room);
+    emitRoom(room);
+    res.json({ ok: true, ended: room.ended });
+  } catch (e) {
+    sendError(req, res, 400, e);
+  }
+});
+
+admin.delete("/rooms/:id", (req, res) => {
+  try {
+    closeRoom(getRoomOrThrow(String(req.params.id).toUpperCase()));
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(req, res, 404, e);
+  }
+});
+
+// { message, roomId? }: every socket, or one room's players and spectators
+admin.post("/notice", (req, res) => {
+  const { message, roomId } = req.body ?? {};
+  if (typeof message !== "string" || !message.trim() || message.length > NOTICE_MAX_LENGTH) {
+    return sendError(req, res, 400, new KaboError("NOTICE_LENGTH", { max: NOTICE_MAX_LENGTH }));
+  }
+  let targets;
+  try {
+    targets = roomId === undefined ? [...rooms.values()] : [getRoomOrThrow(String(roomId).toUpperCase())];
+  } catch (e) {
+    return sendError(req, res, 404, e);
+  }
+
+  const notice = { message: message.trim(), at: Date.now() };
+  if (roomId === undefined) io.emit("server:notice", notice);
+  for (const room of targets) {
+    if (roomId !== undefined) io.to([room.id, liveChannel(room.id), omniChannel(room.id)]).emit("server:notice", { ...notice, roomId: room.id });
+    room.log.push(msg("NOTICE", { message: notice.message }));
+    emitRoom(room);
+  }
+  res.json({ ok: true, rooms: targets.length });
+});
 
-  io.to(ownerSocketId).emit("center:powerAvailable", {
-    card: { ...cardJustPlacedOnCenter, base: baseValue(cardJustPlacedOnCenter), score: scoreValue(cardJustPlacedOnCenter) }
+admin.get("/violations", (_, res) => res.json(violations));
+
+// Hand every room on this instance to the others, e.g. before taking it down.
+admin.post("/drain", async (_, res) => res.json(await drainInstance()));
+
+metrics.gauge("rooms_active", "Rooms in memory, by phase.", () => {
+  const byPhase = {};
+  for (const room of rooms.values()) byPhase[room.phase] = (byPhase[room.phase] || 0) + 1;
+  return Object.entries(byPhase).map(([phase, value]) => ({ labels: { phase }, value }));
+});
+metrics.gauge("sockets_connected", "Connected sockets.", () => io.engine.clientsCount);
+metrics.gauge("games_started_last_minute", "Rounds dealt in the last 60 seconds.", () => recentStarts.count());
+metrics.gauge("games_finished_last_minute", "Rounds finished in the last 60 seconds.", () => recentFinishes.count());
+
+app.get("/metrics", (_, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// =====================
+// Cluster
+// =====================
+// Rooms are pinned to the instance that opened them (see cluster.js), while a
+// socket may be connected to any instance. An event for a room held elsewhere is
+// run by the owner for a stand-in of the socket and the reply comes back the same
+// way; emits reach the socket wherever it is through the adapter.
+//
+// Draining (POST /admin/drain, or SIGTERM in a cluster) moves every room to the
+// least busy instance still taking rooms, timers and all. Games carry on there
+// and sockets stay connected where they are.
+const INSTANCE_ID = process.env.KABO_INSTANCE_ID || crypto.randomBytes(4).toString("hex");
+const cluster = await createCluster(INSTANCE_ID);
+if (cluster.adapter) io.adapter(cluster.adapter);
+
+let draining = false;
+const handoffs = new Map(); // roomId -> Promise while the room moves to another instance
+const remoteLocales = new Map(); // socketId -> locale, for sockets on other instances seated here
+
+/** Answers from the other instances ("*") or one of them: [{ from, result } | { from, error }]. */
+async function askAll(type, data = {}, to = "*") {
+  if (!cluster.adapter) return [];
+  try {
+    return (await io.serverSideEmitWithAck("kabo:ask", { to, type, data })).filter(Boolean);
+  } catch (e) {
+    return (e.responses ?? []).filter(Boolean); // an instance that went quiet just misses out
+  }
+}
+
+async function askInstance(to, type, data) {
+  const answer = (await askAll(type, data, to)).find(a => a.from === to);
+  if (!answer) throw new KaboError("INSTANCE_UNREACHABLE");
+  if (answer.error) throw new KaboError(answer.error.code, answer.error.params);
+  return answer.result;
+}
+
+const ANSWERS = {
+  status: () => ({ draining, rooms: rooms.size }),
+  lobby: () => lobbyListing(),
+  rounds: ({ roomId }) => getRoomOrThrow(roomId).rounds || [],
+  event: runForwarded,
+  adopt: adoptRoom
+};
+
+io.on("kabo:ask", async ({ to, type, data }, reply) => {
+  if (to !== "*" && to !== INSTANCE_ID) return reply(null);
+  try {
+    reply({ from: INSTANCE_ID, result: await ANSWERS[type](data) });
+  } catch (e) {
+    const { code, params } = errorFields(e);
+    reply({ from: INSTANCE_ID, error: { code, params } });
+  }
+});
+
+io.on("kabo:socketGone", (socketId) => {
+  remoteLocales.delete(socketId);
+  dropSocket(socketId);
+});
+
+io.on("kabo:locale", (socketId, locale) => {
+  if (!remoteLocales.has(socketId)) return;
+  remoteLocales.set(socketId, locale);
+  reemitSeats(socketId);
+});
+
+/** Public rooms on every instance. */
+async function clusterLobby() {
+  const remote = await askAll("lobby");
+  return [...lobbyListing(), ...remote.flatMap(a => a.result ?? [])];
+}
+
+/** The instance that should run `event` instead of this one, if any. */
+async function routeFor(event, payload) {
+  if (event === "room:create" && draining) return (await peersTakingRooms())[0]?.from ?? null;
+  const { roomId } = payload;
+  if (roomId === undefined) return null;
+  await handoffs.get(roomId);
+  if (rooms.has(roomId)) return null;
+  const owner = await cluster.owner(roomId);
+  return owner === INSTANCE_ID ? null : owner;
+}
+
+/** What another instance needs to act for this socket. */
+function socketInfo(socket) {
+  const { account, locale, rtt } = socket.data;
+  return { id: socket.id, address: socket.handshake.address, data: { account, locale, rtt } };
+}
+
+/** Stands in for a socket on another instance while one of its events runs here. */
+function remoteSocket({ id, address, data }) {
+  remoteLocales.set(id, data.locale);
+  return {
+    id,
+    data,
+    forwarded: true,
+    handshake: { address },
+    join: (channel) => io.in(id).socketsJoin(channel),
+    leave: (channel) => io.in(id).socketsLeave(channel)
+  };
+}
+
+function runForwarded({ event, payload, socket }) {
+  const proxy = remoteSocket(socket);
+  return new Promise(resolve => {
+    bindHandlers(proxy, (name, handler) => {
+      if (name === event) guard(proxy, name, handler)(payload, resolve);
+    });
   });
+}
+
+/** Instances still taking rooms, least busy first. */
+async function peersTakingRooms() {
+  return (await askAll("status"))
+    .filter(a => a.result && !a.result.draining)
+    .sort((a, b) => a.result.rooms - b.result.rooms);
+}
 
-  room.log.push(`Center power available for ${room.players.find(p=>p.socketId===ownerSocketId)?.name}.`);
-  return true;
+/** Run a room that was running elsewhere; its deadline and burn window carry on. */
+function resumeRoom(room) {
+  rooms.set(room.id, room);
+  for (const p of room.players) if (!p.bot && !p.connected) holdSeat(room, p); // with a fresh grace period
+  scheduleDeadline(room, true);
+  emitRoom(room);
 }
 
+async function adoptRoom({ room }) {
+  await cluster.move(room.id, INSTANCE_ID);
+  resumeRoom(room);
+}
+
+/** Move a room to instance `to`. Its events wait until it has arrived, then go there. */
+async function handOff(room, to) {
+  let arrived;
+  handoffs.set(room.id, new Promise(resolve => { arrived = resolve; }));
+  stopTimers(room);
+  rooms.delete(room.id);
+  try {
+    await askInstance(to, "adopt", { room });
+    return true;
+  } catch (e) {
+    console.error(`Handing room ${room.id} to ${to} failed:`, e.message);
+    internalErrors.inc({ source: "handoff" });
+    resumeRoom(room);
+    return false;
+  } finally {
+    handoffs.delete(room.id);
+    arrived();
+  }
+}
+
+/** Stop taking rooms and hand the ones here to the other instances. */
+async function drainInstance() {
+  draining = true;
+  for (const [preset, queue] of matchQueues) {
+    for (const q of queue) {
+      io.to(q.socketId).emit("queue:cancelled", { preset, ...errorFields(new KaboError("SERVER_DRAINING"), socketLocale(q.socketId)) });
+    }
+  }
+  matchQueues.clear();
+
+  const peers = await peersTakingRooms();
+  let moved = 0;
+  if (peers.length > 0) {
+    for (const room of [...rooms.values()]) {
+      if (await handOff(room, peers[moved % peers.length].from)) moved += 1;
+    }
+  }
+  return { instance: INSTANCE_ID, moved, kept: rooms.size };
+}
+
+// =====================
+// Inbound events
+// =====================
+// Every socket event is declared here with the payload it accepts and who may
+// send it: "player" (seated in payload.roomId), "spectator" (watching it) or
+// anyone. A payload is checked before its handler runs; whatever fails, or goes
+// over a rate limit, is refused and kept in `violations` for review.
+const ROOM_ID = str({ max: 16 });
+const PLAYER_ID = str({ max: 32 });
+const NAME = optional(str({ max: 64 }));
+const INDEX = int({ max: 64 });
+const TARGET_ID = optional(PLAYER_ID);
+
+const INBOUND = {
+  "room:create": {
+    fields: {
+      name: NAME,
+      maxPlayers: optional(int({ max: 100 })),
+      rules: optional(plainObject()),
+      seed: optional(str({ max: 128 })),
+      visibility: optional(oneOf("public", "private")),
+      password: optional(str({ max: 64 })),
+      ranked: optional(bool())
+    }
+  },
+  "room:join": { fields: { roomId: ROOM_ID, name: NAME, password: optional(str({ max: 64 })) } },
+  "room:rejoin": { fields: { roomId: ROOM_ID, token: str({ max: 128 }) } },
+  "lobby:list": { fields: {} },
+  "queue:join": { fields: { name: NAME, preset: optional(str({ max: 32 })) } },
+  "queue:leave": { fields: {} },
+  "session:setLocale": { fields: { locale: str({ max: 64 }) } },
+
+  "game:start": { member: "player", fields: { roomId: ROOM_ID } },
+  "game:nextRound": { member: "player", fields: { roomId: ROOM_ID } },
+  "rules:set": { member: "player", fields: { roomId: ROOM_ID, rules: optional(plainObject()) } },
+  "bot:add": { member: "player", fields: { roomId: ROOM_ID, level: optional(str({ max: 16 })), name: NAME } },
+  "bot:remove": { member: "player", fields: { roomId: ROOM_ID, playerId: PLAYER_ID } },
+  "room:setTeam": { member: "player", fields: { roomId: ROOM_ID, playerId: optional(PLAYER_ID), team: oneOf(...TEAMS) } },
+  "room:bypass": { member: "player", fields: { roomId: ROOM_ID } },
+  "room:kick": { member: "player", fields: { roomId: ROOM_ID, playerId: PLAYER_ID } },
+  "room:transferHost": { member: "player", fields: { roomId: ROOM_ID, playerId: PLAYER_ID } },
+  "room:lock": { member: "player", fields: { roomId: ROOM_ID, locked: bool() } },
+  "room:setPassword": { member: "player", fields: { roomId: ROOM_ID, password: optional(str({ max: 64 })) } },
+  "game:restart": { member: "player", fields: { roomId: ROOM_ID, accept: optional(bool()) } },
+  "game:requestUndo": { member: "player", fields: { roomId: ROOM_ID } },
+  "game:answerUndo": { member: "player", fields: { roomId: ROOM_ID, accept: bool() } },
+  "val:no": { member: "player", fields: { roomId: ROOM_ID } },
+  "val:yes": { member: "player", fields: { roomId: ROOM_ID } },
+
+  "game:peek": { member: "player", fields: { roomId: ROOM_ID, index: INDEX } },
+  "turn:take": { member: "player", fields: { roomId: ROOM_ID, source: optional(oneOf("draw", "discard")) } },
+  "turn:swap": { member: "player", fields: { roomId: ROOM_ID, handIndex: INDEX } },
+  "turn:discardDrawn": { member: "player", fields: { roomId: ROOM_ID } },
+  "turn:cabo": { member: "player", fields: { roomId: ROOM_ID } },
+  "burn:attempt": {
+    member: "player",
+    fields: { roomId: ROOM_ID, target: oneOf("self", "opp"), targetId: TARGET_ID, index: INDEX, giveIndex: optional(INDEX) },
+    check: (p) => p.target === "opp" && p.giveIndex === undefined ? msg("GIVE_INDEX_REQUIRED") : null
+  },
+  "centerPower:skip": { member: "player", fields: { roomId: ROOM_ID } },
+
+  "room:spectate": {
+    fields: { roomId: ROOM_ID, name: NAME, feed: optional(oneOf("live", "omniscient")), password: optional(str({ max: 64 })) }
+  },
+  "spectate:setFeed": {
+    member: "player",
+    fields: { roomId: ROOM_ID, omniscient: optional(bool()), delayMs: optional(int({ max: OMNISCIENT_DELAY_MS.max })) }
+  },
+  "spectator:chat": { member: "spectator", fields: { roomId: ROOM_ID, text: str({ max: 500 }) } },
+
+  "chat:send": {
+    member: "any",
+    fields: { roomId: ROOM_ID, text: optional(str({ max: 500 })), emote: optional(str({ max: 16 })), reactTo: optional(int({ max: 10_000 })) },
+    check: (p) => (p.text === undefined) === (p.emote === undefined) ? msg("TEXT_OR_EMOTE") : null
+  },
+  "chat:history": { member: "any", fields: { roomId: ROOM_ID } },
+  "chat:mute": { member: "any", fields: { roomId: ROOM_ID, playerId: PLAYER_ID, muted: bool() } }
+};
+
+// the power events take the same payload from either source
+for (const prefix of ["power", "centerPower"]) {
+  Object.assign(INBOUND, {
+    [`${prefix}:peekOwn`]: { member: "player", fields: { roomId: ROOM_ID, handIndex: INDEX } },
+    [`${prefix}:peekOpp`]: { member: "player", fields: { roomId: ROOM_ID, targetId: TARGET_ID, oppIndex: INDEX } },
+    [`${prefix}:jackSkip`]: { member: "player", fields: { roomId: ROOM_ID } },
+    [`${prefix}:queenUnseenSwap`]: { member: "player", fields: { roomId: ROOM_ID, myIndex: INDEX, targetId: TARGET_ID, oppIndex: INDEX } },
+    [`${prefix}:kingPreview`]: { member: "player", fields: { roomId: ROOM_ID, myIndex: INDEX, targetId: TARGET_ID, oppIndex: INDEX } },
+    [`${prefix}:kingConfirm`]: { member: "player", fields: { roomId: ROOM_ID, confirm: bool() } }
+  });
+}
+
+// [burst, per second]. "socket" covers every event a socket sends, "room" every
+// event sent into one room; the others are extra per-socket limits.
+// RATE_LIMIT_FACTOR scales them all (load tests, scripted clients).
+const RATE_LIMIT_FACTOR = Number(process.env.RATE_LIMIT_FACTOR) || 1;
+const RATE_LIMITS = {
+  socket: [20, 10],
+  room: [60, 30],
+  "room:create": [3, 0.1],
+  "queue:join": [3, 0.2],
+  "burn:attempt": [2, 0.5],
+  "spectator:chat": [5, 1],
+  "chat:send": [5, 1]
+};
+
+const VIOLATION_LOG_LIMIT = 500;
+const violations = [];
+const roomBuckets = new WeakMap(); // room -> TokenBucket
+
+function rateBucket([burst, perSecond]) {
+  return new TokenBucket(burst * RATE_LIMIT_FACTOR, perSecond * RATE_LIMIT_FACTOR);
+}
+
+function socketBucket(socket, key) {
+  const buckets = (socket.data.buckets ??= new Map());
+  if (!buckets.has(key)) buckets.set(key, rateBucket(RATE_LIMITS[key]));
+  return buckets.get(key);
+}
+
+function roomBucket(room) {
+  if (!roomBuckets.has(room)) roomBuckets.set(room, rateBucket(RATE_LIMITS.room));
+  return roomBuckets.get(room);
+}
+
+function reportViolation(socket, event, kind, detail, roomId = null) {
+  const v = {
+    at: Date.now(),
+    kind,
+    event,
+    detail,
+    roomId,
+    socketId: socket.id,
+    accountId: socket.data.account?.id ?? null,
+    address: socket.handshake.address
+  };
+  violations.push(v);
+  if (violations.length > VIOLATION_LOG_LIMIT) violations.shift();
+  inboundRejected.inc({ kind });
+
+  // a flood of the same thing is one console line every few seconds
+  const last = socket.data.lastViolation;
+  socket.data.lastViolation = v;
+  if (last && last.kind === kind && last.event === event && v.at - last.at < 5000) return;
+  console.warn(`Refused ${event} from ${socket.id}${roomId ? ` in ${roomId}` : ""} (${kind}): ${detail}`);
+}
+
+/**
+ * Wrap a socket handler: rate limits and payload schema first, then events for a
+ * room on another instance go there and the rest must pass the membership check.
+ */
+function guard(socket, event, handler) {
+  const spec = INBOUND[event];
+  if (!spec) throw new Error(`No inbound schema for ${event}`);
+
+  return async (payload, cb) => {
+    if (typeof payload === "function") [payload, cb] = [undefined, payload];
+    const reply = typeof cb === "function" ? cb : () => {};
+    payload ??= {};
+    const fail = (e) => reply({ ok: false, ...errorFields(e, socket.data.locale) });
+    const refuse = (kind, e, roomId) => {
+      reportViolation(socket, event, kind, e.message, roomId);
+      fail(e);
+    };
+
+    if (!socketBucket(socket, "socket").take()) return refuse("rate", new KaboError("RATE_SOCKET"));
+    if (RATE_LIMITS[event] && !socketBucket(socket, event).take()) return refuse("rate", new KaboError("RATE_EVENT", { event }));
+
+    try {
+      validatePayload(spec.fields, payload, spec.check);
+    } catch (e) {
+      return refuse("schema", e);
+    }
+
+    if (cluster.adapter && !socket.forwarded) {
+      let owner;
+      try {
+        owner = await routeFor(event, payload);
+      } catch (e) {
+        return fail(e);
+      }
+      if (owner) return askInstance(owner, "event", { event, payload, socket: socketInfo(socket) }).then(reply, fail);
+    }
+
+    if (spec.member) {
+      const room = rooms.get(payload.roomId);
+      if (!room) return fail(new KaboError("ROOM_NOT_FOUND"));
+      const seated = room.players.some(p => p.socketId === socket.id);
+      const watching = room.spectators.some(s => s.socketId === socket.id);
+      const member = spec.member === "player" ? seated : spec.member === "spectator" ? watching : seated || watching;
+      if (!member) return refuse("membership", new KaboError(spec.member === "spectator" ? "NOT_SPECTATING" : "NOT_IN_ROOM"), room.id);
+      if (!roomBucket(room).take()) return refuse("rate", new KaboError("RATE_ROOM"), room.id);
+    }
+
+    handler(payload, (res) => {
+      if (res?.ok === false) handlerErrors.inc({ event });
+      reply(res);
+    });
+  };
+}
+
+io.use((socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (token === undefined) return next();
+  const account = accounts.byToken(token);
+  if (!account) return next(new Error("Invalid session"));
+  socket.data.account = { id: account.id, username: account.username, guest: account.guest };
+  next();
+});
+
 io.on("connection", (socket) => {
+  const latencyProbe = setInterval(() => probeLatency(socket), LATENCY_PROBE_MS);
+  probeLatency(socket);
+  socket.data.locale = localeOf(socket.handshake.auth?.locale ?? socket.handshake.headers["accept-language"]);
+  bindHandlers(socket, (event, handler) => socket.on(event, guard(socket, event, handler)));
 
-  socket.on("room:create", ({ name }, cb) => {
+  socket.on("disconnect", () => {
+    clearInterval(latencyProbe);
+    leaveQueues(socket.id);
+    dropSocket(socket.id);
+    if (cluster.adapter) io.serverSideEmit("kabo:socketGone", socket.id);
+  });
+});
+
+/**
+ * Every event handler for `socket`, each registered through `on` (which wraps it
+ * in guard). Also run for stand-ins of sockets on other instances, see "Cluster".
+ */
+function bindHandlers(socket, on) {
+  on("room:create", async ({ name, maxPlayers, rules, seed, visibility, password, ranked }, cb) => {
     try {
-      const id = roomId();
-      const room = {
-        id,
-        players: [],
-        started: false,
-        turnIndex: 0,
-        drawPile: [],
-        discardPile: [],
-        phase: "LOBBY",
-        activeDraw: null,
-        caboCalledBy: null,
-        lastTurnFor: null,
-        skipNextFor: null,
-        pending: null,
-        log: [],
-        ended: null,
-        valentineUnlocked: false,
-        valState: { noClicks: 0, accepted: false },
-
-        centerPower: null
-      };
-      rooms.set(id, room);
+      if (ranked) requireRankedSeat(null, socket);
+      const room = await openRoom({ maxPlayers, rules, seed, visibility, password, ranked });
+      const { id } = room;
 
-      room.players.push({
-        socketId: socket.id,
-        name: (name || "Host").slice(0, 16),
-        peeksLeft: 2,
-        hand: []
-      });
+      const player = newPlayer(socket.id, displayName(socket, name, "Host"), socket.data.account?.id);
+      room.players.push(player);
+      room.hostId = player.id;
 
       socket.join(id);
-      room.log.push(`${room.players[0].name} created room ${id}.`);
+      room.log.push(msg("ROOM_CREATED", { name: player.name, roomId: id }));
       emitRoom(room);
-      cb?.({ ok: true, roomId: id });
+      cb?.({ ok: true, roomId: id, playerId: player.id, token: player.token });
     } catch (e) {
-      cb?.({ ok: false, error: e.message });
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
     }
   });
 
-  socket.on("room:join", ({ roomId, name }, cb) => {
+  on("room:join", ({ roomId, name, password }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      if (room.players.length >= 2) throw new Error("Room full");
+      if (room.started) throw new KaboError("GAME_STARTED");
+      if (room.joinLocked) throw new KaboError("ROOM_LOCKED");
+      checkPassword(room, password);
+      if (room.kickedAccounts?.includes(socket.data.account?.id) || room.kickedSockets?.includes(socket.id)) {
+        throw new KaboError("KICKED");
+      }
+      requireRankedSeat(room, socket);
+      // a seated player must never be on the omniscient feed
+      if (room.spectators.some(s => s.socketId === socket.id)) throw new KaboError("STOP_WATCHING_FIRST");
+      if (room.players.length >= room.maxPlayers) throw new KaboError("ROOM_FULL");
 
-      room.players.push({
-        socketId: socket.id,
-        name: (name || "Player 2").slice(0, 16),
-        peeksLeft: 2,
-        hand: []
-      });
+      const player = newPlayer(socket.id, displayName(socket, name, `Player ${room.players.length + 1}`), socket.data.account?.id);
+      room.players.push(player);
 
       socket.join(roomId);
-      room.log.push(`${room.players[1].name} joined.`);
+      room.log.push(msg("JOINED", { name: player.name }));
       emitRoom(room);
-      cb?.({ ok: true });
+      cb?.({ ok: true, playerId: player.id, token: player.token });
     } catch (e) {
-      cb?.({ ok: false, error: e.message });
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
     }
   });
 
-  socket.on("game:start", ({ roomId }, cb) => {
+  on("lobby:list", async (_, cb) => {
+    cb?.({ ok: true, rooms: await clusterLobby() });
+  });
+
+  // Wait for a seat in a new room with strangers: { name, preset }
+  on("queue:join", ({ name, preset = DEFAULT_PRESET }, cb) => {
     try {
-      const room = getRoomOrThrow(roomId);
-      if (room.players[0]?.socketId !== socket.id) throw new Error("Only host can start");
-      startGame(room);
-      emitRoom(room);
-      cb?.({ ok: true });
+      if (!Object.hasOwn(RULE_PRESETS, preset)) throw new KaboError("UNKNOWN_PRESET");
+      if (draining) throw new KaboError("SERVER_DRAINING");
+      leaveQueues(socket.id);
+      const queue = matchQueues.get(preset) || [];
+      queue.push({
+        socketId: socket.id,
+        name: displayName(socket, name, `Player ${queue.length + 1}`),
+        accountId: socket.data.account?.id ?? null
+      });
+      matchQueues.set(preset, queue);
+      cb?.({ ok: true, waiting: queue.length });
+      drainQueue(preset);
     } catch (e) {
-      cb?.({ ok: false, error: e.message });
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
     }
   });
 
-  // HOST BYPASS -> unlock valentine for both anytime
-  socket.on("room:bypass", ({ roomId }, cb) => {
+  on("queue:leave", (_, cb) => {
+    leaveQueues(socket.id);
+    cb?.({ ok: true });
+  });
+
+  // Language for errors and log text: { locale: "de" } or an Accept-Language value.
+  // Unknown languages get English; the reply says which catalogue was picked.
+  on("session:setLocale", ({ locale }, cb) => {
+    socket.data.locale = localeOf(locale);
+    reemitSeats(socket.id);
+    if (cluster.adapter) io.serverSideEmit("kabo:locale", socket.id, socket.data.locale);
+    cb?.({ ok: true, locale: socket.data.locale });
+  });
+
+  on("game:start", ({ roomId }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      if (room.players[0]?.socketId !== socket.id) throw new Error("Only host can bypass");
-      room.log.push("Host bypassed → Valentine unlocked.");
-      unlockValentine(room);
+      requireHost(room, socket, "START");
+      if (room.started && !room.match?.over) throw new KaboError("START_LOBBY_ONLY");
+      newMatch(room);
+      deal(room);
       emitRoom(room);
       cb?.({ ok: true });
     } catch (e) {
-      cb?.({ ok:false, error:e.message });
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
     }
   });
 
-  // Valentine sync events
-  socket.on("val:no", ({ roomId }, cb) => {
+  // Host changes house rules between matches: { preset, ...overrides }
+  on("rules:set", ({ roomId, rules }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      room.valState.noClicks = (room.valState.noClicks || 0) + 1;
-      room.log.push(`Valentine: NO clicked (${room.valState.noClicks}).`);
-      io.to(roomId).emit("val:update", { valState: room.valState });
+      requireHost(room, socket, "CHANGE_RULES");
+      if (room.started && !room.match?.over) throw new KaboError("RULES_LOBBY_ONLY");
+      if (room.ranked) requireStockRules(rules);
+
+      room.rules = resolveRules(rules);
+      room.log.push(msg("RULES_SET", { preset: room.rules.preset }));
       emitRoom(room);
-      cb?.({ ok: true, valState: room.valState });
-    } catch (e) { cb?.({ ok:false, error:e.message }); }
+      cb?.({ ok: true, rules: room.rules });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
   });
 
-  socket.on("val:yes", ({ roomId }, cb) => {
+  // Host fills empty seats with bots in the lobby: { level: "easy" | "medium" | "hard", name? }
+  on("bot:add", ({ roomId, level, name }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      room.valState.accepted = true;
-      room.log.push("Valentine: YES clicked 💜");
-      io.to(roomId).emit("val:update", { valState: room.valState });
+      requireHost(room, socket, "ADD_BOTS");
+      if (room.started) throw new KaboError("BOTS_ADD_LOBBY_ONLY");
+      if (room.ranked) throw new KaboError("BOTS_NOT_RANKED");
+      if (room.players.length >= room.maxPlayers) throw new KaboError("ROOM_FULL");
+
+      const bot = newBot(room, level, name);
+      room.players.push(bot);
+      room.log.push(msg("JOINED", { name: bot.name }));
       emitRoom(room);
-      cb?.({ ok: true, valState: room.valState });
-    } catch (e) { cb?.({ ok:false, error:e.message }); }
+      cb?.({ ok: true, playerId: bot.id });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
   });
 
-  // Peek (dynamic index)
-  socket.on("game:peek", ({ roomId, index }, cb) => {
+  on("bot:remove", ({ roomId, playerId }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      if (room.phase !== "PEEK") throw new Error("Peek phase ended");
-      const pIdx = ensurePlayer(room, socket.id);
-      const p = room.players[pIdx];
-      if (p.peeksLeft <= 0) throw new Error("No peeks left");
-      if (index < 0 || index >= p.hand.length) throw new Error("Bad index");
-
-      p.peeksLeft -= 1;
-
-      socket.emit("peek:result", {
-        index,
-        card: { ...p.hand[index], base: baseValue(p.hand[index]), score: scoreValue(p.hand[index]) },
-        peeksLeft: p.peeksLeft
-      });
-
-      room.log.push(`${p.name} peeked a card.`);
-      if (room.players.every(x => x.peeksLeft === 0)) {
-        room.phase = "TURN_DRAW";
-        room.log.push(`Peeks done. ${room.players[room.turnIndex].name}'s turn.`);
-      }
+      requireHost(room, socket, "REMOVE_BOTS");
+      if (room.started) throw new KaboError("BOTS_REMOVE_LOBBY_ONLY");
+      if (!room.players.find(p => p.id === playerId)?.bot) throw new KaboError("NO_SUCH_BOT");
 
-      emitRoom(room);
+      removePlayer(room, playerId);
       cb?.({ ok: true });
     } catch (e) {
-      cb?.({ ok: false, error: e.message });
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
     }
   });
 
-  // Draw only (no discard take)
-  socket.on("turn:take", ({ roomId, source }, cb) => {
+  // Pick a team for team play: your own seat, or any seat (bots too) as host
+  on("room:setTeam", ({ roomId, playerId, team }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      if (!["TURN_DRAW","LAST_TURN"].includes(room.phase)) throw new Error("Not in draw phase");
-      ensureTurn(room, socket.id);
-      if (room.activeDraw) throw new Error("Already drew a card");
-      if (room.pending) throw new Error("Resolve pending action first");
-      if (source && source !== "draw") throw new Error("Rule: draw pile only.");
-
-      refillDrawPileIfNeeded(room);
-      const card = room.drawPile.pop();
-
-      room.activeDraw = { card };
-      room.phase = "TURN_DECIDE";
-      room.log.push(`${room.players[room.turnIndex].name} drew a card.`);
-
-      socket.emit("turn:drawResult", {
-        card: { ...card, base: baseValue(card), score: scoreValue(card) },
-        power: isPowerCard(card)
-      });
-
+      const me = room.players[ensurePlayer(room, socket.id)];
+      const p = room.players.find(x => x.id === (playerId ?? me.id));
+      if (!p) throw new KaboError("NO_SUCH_PLAYER");
+      if (p !== me) requireHost(room, socket, "PICK_TEAMS");
+      if (room.started && !room.match?.over) throw new KaboError("TEAMS_LOBBY_ONLY");
+
+      p.team = team;
+      room.log.push(msg("JOINED_TEAM", { name: p.name, team }));
       emitRoom(room);
       cb?.({ ok: true });
     } catch (e) {
-      cb?.({ ok: false, error: e.message });
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
     }
   });
 
-  // Swap drawn into hand -> old card goes to center (discard pile)
-  socket.on("turn:swap", ({ roomId, handIndex }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    if (room.phase !== "TURN_DECIDE") throw new Error("Not in decide phase");
-    ensureTurn(room, socket.id);
-    if (!room.activeDraw) throw new Error("No drawn card");
-    if (room.pending) throw new Error("Resolve pending action first");
-
-    const p = room.players[room.turnIndex];
-    if (handIndex < 0 || handIndex >= p.hand.length) throw new Error("Bad index");
-
-    const old = p.hand[handIndex];
-    p.hand[handIndex] = room.activeDraw.card;
-
-    // old card goes to center
-    room.discardPile.push(old);
-    room.activeDraw = null;
-
-    room.log.push(`${p.name} swapped and played a card to center.`);
-
-    // ✅ NEW: If the CENTER card is a power card, allow power
-    const entered = maybeEnterCenterPower(room, socket.id, old);
-    emitRoom(room);
-
-    if (!entered) {
-      advanceTurn(room);
-      emitRoom(room);
-    }
-
-    cb?.({ ok: true });
-  } catch (e) {
-    cb?.({ ok: false, error: e.message });
-  }
-});
-
-  // Discard drawn -> center pile
-  socket.on("turn:discardDrawn", ({ roomId }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    if (room.phase !== "TURN_DECIDE") throw new Error("Not in decide phase");
-    ensureTurn(room, socket.id);
-    if (!room.activeDraw) throw new Error("No drawn card");
-    if (room.pending) throw new Error("Resolve pending action first");
-
-    const played = room.activeDraw.card;
-
-    room.discardPile.push(played);
-    room.activeDraw = null;
-
-    room.log.push(`${room.players[room.turnIndex].name} played drawn card to center.`);
-
-    // ✅ NEW: allow center power if the played card is power
-    const entered = maybeEnterCenterPower(room, socket.id, played);
-    emitRoom(room);
-
-    if (!entered) {
-      advanceTurn(room);
+  on("game:nextRound", ({ roomId }, cb) => {
+    try {
+      const room = getRoomOrThrow(roomId);
+      requireHost(room, socket, "DEAL");
+      if (room.phase !== "ENDED") throw new KaboError("ROUND_IN_PROGRESS");
+      deal(room);
       emitRoom(room);
+      cb?.({ ok: true });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
     }
+  });
 
-    cb?.({ ok: true });
-  } catch (e) {
-    cb?.({ ok: false, error: e.message });
-  }
-});
-
-socket.on("centerPower:skip", ({ roomId }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    if (room.phase !== "CENTER_POWER") throw new Error("No center power to skip");
-    if (!room.centerPower || room.centerPower.ownerSocketId !== socket.id) throw new Error("Not your center power");
-
-    room.centerPower = null;
-    room.log.push(`Center power skipped.`);
-    advanceTurn(room);
-    emitRoom(room);
-
-    cb?.({ ok: true });
-  } catch (e) { cb?.({ ok:false, error:e.message }); }
-});
-socket.on("centerPower:skip", ({ roomId }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    if (room.phase !== "CENTER_POWER") throw new Error("No center power to skip");
-    if (!room.centerPower || room.centerPower.ownerSocketId !== socket.id) throw new Error("Not your center power");
-
-    room.centerPower = null;
-    room.log.push(`Center power skipped.`);
-    advanceTurn(room);
-    emitRoom(room);
-
-    cb?.({ ok: true });
-  } catch (e) { cb?.({ ok:false, error:e.message }); }
-});
-
-  // CABO (<10)
-  socket.on("turn:cabo", ({ roomId }, cb) => {
+  // HOST BYPASS -> unlock valentine for both anytime
+  on("room:bypass", ({ roomId }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      if (room.phase !== "TURN_DRAW") throw new Error("Call Cabo at start of your turn");
-      ensureTurn(room, socket.id);
-
-      const sum = computeHandSum(room, socket.id);
-      if (sum >= 10) throw new Error("Cabo not allowed (total must be less than 10).");
-
-      room.caboCalledBy = socket.id;
-      const opp = room.players.find(p => p.socketId !== socket.id);
-      room.lastTurnFor = opp.socketId;
-
-      room.log.push(`${room.players[room.turnIndex].name} called CABO! ${opp.name} gets last turn.`);
-      room.turnIndex = room.players.findIndex(p => p.socketId === opp.socketId);
-      room.phase = "LAST_TURN";
-      room.activeDraw = null;
-      room.pending = null;
-
+      requireHost(room, socket, "BYPASS");
+      room.log.push(msg("HOST_BYPASS"));
+      unlockValentine(room);
       emitRoom(room);
       cb?.({ ok: true });
     } catch (e) {
-      cb?.({ ok: false, error: e.message });
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
     }
   });
 
-  // =====================
-  // BURNING (anytime after center has a card, not in PEEK/ENDED)
-  // =====================
-  socket.on("burn:attempt", ({ roomId, target, index, giveIndex }, cb) => {
+  on("room:kick", ({ roomId, playerId }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-
-      if (["LOBBY","PEEK","ENDED"].includes(room.phase)) {
-        throw new Error("Burn not allowed right now.");
-      }
-
-      const top = room.discardPile.at(-1);
-      if (!top) throw new Error("Nothing to burn on (center pile empty).");
-
-      const burnerIdx = ensurePlayer(room, socket.id);
-      const burner = room.players[burnerIdx];
-      const victimIdx = (burnerIdx + 1) % 2;
-      const victim = room.players[victimIdx];
-
-      if (target === "self") {
-        if (index < 0 || index >= burner.hand.length) throw new Error("Bad index.");
-        const chosen = burner.hand[index];
-
-        if (sameRank(chosen, top)) {
-          burner.hand.splice(index, 1);
-          room.discardPile.push(chosen);
-          room.log.push(`${burner.name} burned a card!`);
-          emitRoom(room);
-          cb?.({ ok: true, result: "BURN_OK" });
-          return;
-        }
-
-        refillDrawPileIfNeeded(room);
-        const penalty = room.drawPile.pop();
-        burner.hand.push(penalty);
-        room.log.push(`${burner.name} tried to burn and missed (+1 penalty).`);
-        emitRoom(room);
-        cb?.({ ok: true, result: "BURN_WRONG_SELF" });
-        return;
-      }
-
-      if (target === "opp") {
-        if (index < 0 || index >= victim.hand.length) throw new Error("Bad opponent index.");
-        if (giveIndex < 0 || giveIndex >= burner.hand.length) throw new Error("Choose a card to give.");
-
-        const chosenVictimCard = victim.hand[index];
-
-        if (sameRank(chosenVictimCard, top)) {
-          // remove victim card -> center
-          victim.hand.splice(index, 1);
-          room.discardPile.push(chosenVictimCard);
-
-          // burner gives one of their cards to victim (face down)
-          const gift = burner.hand.splice(giveIndex, 1)[0];
-          victim.hand.push(gift);
-
-          room.log.push(`${burner.name} steal-burned successfully!`);
-          emitRoom(room);
-          cb?.({ ok: true, result: "BURN_OK_STEAL" });
-          return;
-        }
-
-        // wrong steal burn: reveal victim card to burner + penalty
-        socket.emit("burn:revealWrong", {
-          index,
-          card: { ...chosenVictimCard, base: baseValue(chosenVictimCard), score: scoreValue(chosenVictimCard) }
-        });
-
-        refillDrawPileIfNeeded(room);
-        const penalty = room.drawPile.pop();
-        burner.hand.push(penalty);
-
-        room.log.push(`${burner.name} steal-burned wrongly (+1 penalty, revealed card).`);
-        emitRoom(room);
-        cb?.({ ok: true, result: "BURN_WRONG_STEAL" });
-        return;
-      }
-
-      throw new Error("Bad target.");
+      requireHost(room, socket, "KICK");
+      kickPlayer(room, playerId);
+      cb?.({ ok: true });
     } catch (e) {
-      cb?.({ ok: false, error: e.message });
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
     }
   });
 
-  // =====================
-  // POWERS (power only from drawn card; power never from burned card)
-  // Using a power discards the drawn card to center.
-  // =====================
-  socket.on("power:peekOwn", ({ roomId, handIndex }, cb) => {
+  on("room:transferHost", ({ roomId, playerId }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      ensureTurn(room, socket.id);
-      if (room.phase !== "TURN_DECIDE") throw new Error("Not in decide phase");
-      if (!room.activeDraw) throw new Error("No drawn card");
-      const c = room.activeDraw.card;
-      if (!["7","8"].includes(c.r)) throw new Error("Not 7/8");
-
-      const p = room.players[room.turnIndex];
-      if (handIndex < 0 || handIndex >= p.hand.length) throw new Error("Bad index");
-
-      socket.emit("power:reveal", {
-        kind: "own",
-        index: handIndex,
-        card: { ...p.hand[handIndex], base: baseValue(p.hand[handIndex]), score: scoreValue(p.hand[handIndex]) }
-      });
-
-      room.discardPile.push(room.activeDraw.card);
-      room.activeDraw = null;
+      requireHost(room, socket, "TRANSFER");
+      const next = room.players.find(p => p.id === playerId);
+      if (!next || next.bot) throw new KaboError("HOST_MUST_BE_PERSON");
+      if (next.id === room.hostId) throw new KaboError("ALREADY_HOST");
 
-      room.log.push(`${p.name} used 7/8 (peek own).`);
-      advanceTurn(room);
+      room.hostId = next.id;
+      room.log.push(msg("NEW_HOST", { name: next.name }));
       emitRoom(room);
       cb?.({ ok: true });
-    } catch (e) { cb?.({ ok:false, error:e.message }); }
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
   });
 
-  socket.on("power:peekOpp", ({ roomId, oppIndex }, cb) => {
+  // A locked room takes no new seats; seated players can still rejoin.
+  on("room:lock", ({ roomId, locked }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      ensureTurn(room, socket.id);
-      if (room.phase !== "TURN_DECIDE") throw new Error("Not in decide phase");
-      if (!room.activeDraw) throw new Error("No drawn card");
-      const c = room.activeDraw.card;
-      if (!["9","10"].includes(c.r)) throw new Error("Not 9/10");
-
-      const meIdx = room.turnIndex;
-      const opp = room.players[(meIdx + 1) % 2];
-      if (oppIndex < 0 || oppIndex >= opp.hand.length) throw new Error("Bad index");
-
-      socket.emit("power:reveal", {
-        kind: "opp",
-        index: oppIndex,
-        card: { ...opp.hand[oppIndex], base: baseValue(opp.hand[oppIndex]), score: scoreValue(opp.hand[oppIndex]) }
-      });
-
-      room.discardPile.push(room.activeDraw.card);
-      room.activeDraw = null;
-
-      room.log.push(`${room.players[meIdx].name} used 9/10 (peek opp).`);
-      advanceTurn(room);
+      requireHost(room, socket, "LOCK");
+      room.joinLocked = locked;
+      room.log.push(msg(locked ? "ROOM_LOCKED_BY_HOST" : "ROOM_UNLOCKED_BY_HOST"));
       emitRoom(room);
       cb?.({ ok: true });
-    } catch (e) { cb?.({ ok:false, error:e.message }); }
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
   });
 
-  socket.on("power:jackSkip", ({ roomId }, cb) => {
+  // { password } sets or changes it, no password removes it
+  on("room:setPassword", ({ roomId, password }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      ensureTurn(room, socket.id);
-      if (room.phase !== "TURN_DECIDE") throw new Error("Not in decide phase");
-      if (!room.activeDraw) throw new Error("No drawn card");
-      const c = room.activeDraw.card;
-      if (c.r !== "J") throw new Error("Not a Jack");
-
-      const meIdx = room.turnIndex;
-      const opp = room.players[(meIdx + 1) % 2];
-      room.skipNextFor = opp.socketId;
-
-      room.discardPile.push(room.activeDraw.card);
-      room.activeDraw = null;
-
-      room.log.push(`${room.players[meIdx].name} used Jack (skip opp).`);
-      advanceTurn(room);
+      requireHost(room, socket, "SET_PASSWORD");
+      room.password = password === undefined ? null : hashSecret(password);
+      room.log.push(msg(password === undefined ? "PASSWORD_REMOVED" : "PASSWORD_SET"));
       emitRoom(room);
       cb?.({ ok: true });
-    } catch (e) { cb?.({ ok:false, error:e.message }); }
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
   });
 
-  socket.on("power:queenUnseenSwap", ({ roomId, myIndex, oppIndex }, cb) => {
+  // Host proposes a restart of the round in progress; everyone else answers { accept }.
+  on("game:restart", ({ roomId, accept = true }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      ensureTurn(room, socket.id);
-      if (room.phase !== "TURN_DECIDE") throw new Error("Not in decide phase");
-      if (!room.activeDraw) throw new Error("No drawn card");
-      const c = room.activeDraw.card;
-      if (c.r !== "Q") throw new Error("Not a Queen");
-
-      const meIdx = room.turnIndex;
-      const me = room.players[meIdx];
-      const opp = room.players[(meIdx + 1) % 2];
-
-      if (myIndex < 0 || myIndex >= me.hand.length) throw new Error("Bad my index");
-      if (oppIndex < 0 || oppIndex >= opp.hand.length) throw new Error("Bad opp index");
-
-      const temp = me.hand[myIndex];
-      me.hand[myIndex] = opp.hand[oppIndex];
-      opp.hand[oppIndex] = temp;
-
-      room.discardPile.push(room.activeDraw.card);
-      room.activeDraw = null;
-
-      room.log.push(`${me.name} used Queen (unseen swap).`);
-      advanceTurn(room);
+      voteRestart(room, room.players[ensurePlayer(room, socket.id)], accept);
       emitRoom(room);
-      cb?.({ ok: true });
-    } catch (e) { cb?.({ ok:false, error:e.message }); }
+      cb?.({ ok: true, restartVote: room.restartVote });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
   });
 
-  socket.on("power:kingPreview", ({ roomId, myIndex, oppIndex }, cb) => {
+  // Ask to take back your last move; everyone else answers with game:answerUndo { accept }.
+  on("game:requestUndo", ({ roomId }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      ensureTurn(room, socket.id);
-      if (room.phase !== "TURN_DECIDE") throw new Error("Not in decide phase");
-      if (!room.activeDraw) throw new Error("No drawn card");
-      if (room.pending) throw new Error("Already pending");
-      const c = room.activeDraw.card;
-      if (c.r !== "K") throw new Error("Not a King");
-
-      const meIdx = room.turnIndex;
-      const me = room.players[meIdx];
-      const opp = room.players[(meIdx + 1) % 2];
-
-      if (myIndex < 0 || myIndex >= me.hand.length) throw new Error("Bad my index");
-      if (oppIndex < 0 || oppIndex >= opp.hand.length) throw new Error("Bad opp index");
-
-      room.pending = { type: "KING_CONFIRM", playerSocketId: socket.id, myIndex, oppIndex };
-
-      socket.emit("king:preview", {
-        myIndex,
-        oppIndex,
-        myCard: { ...me.hand[myIndex], base: baseValue(me.hand[myIndex]), score: scoreValue(me.hand[myIndex]) },
-        oppCard: { ...opp.hand[oppIndex], base: baseValue(opp.hand[oppIndex]), score: scoreValue(opp.hand[oppIndex]) }
-      });
-
-      cb?.({ ok: true });
-    } catch (e) { cb?.({ ok:false, error:e.message }); }
+      requestUndo(room, room.players[ensurePlayer(room, socket.id)]);
+      emitRoom(room);
+      cb?.({ ok: true, undoVote: room.undoVote });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
   });
 
-  socket.on("power:kingConfirm", ({ roomId, confirm }, cb) => {
+  on("game:answerUndo", ({ roomId, accept }, cb) => {
     try {
       const room = getRoomOrThrow(roomId);
-      ensureTurn(room, socket.id);
-      if (room.phase !== "TURN_DECIDE") throw new Error("Not in decide phase");
-      if (!room.activeDraw) throw new Error("No drawn card");
-      if (!room.pending || room.pending.type !== "KING_CONFIRM") throw new Error("No pending king action");
-      if (room.pending.playerSocketId !== socket.id) throw new Error("Not your pending action");
-
-      const { myIndex, oppIndex } = room.pending;
-      const meIdx = room.turnIndex;
-      const me = room.players[meIdx];
-      const opp = room.players[(meIdx + 1) % 2];
-
-      if (confirm) {
-        const temp = me.hand[myIndex];
-        me.hand[myIndex] = opp.hand[oppIndex];
-        opp.hand[oppIndex] = temp;
-        room.log.push(`${me.name} used King (seen swap confirmed).`);
-      } else {
-        room.log.push(`${me.name} cancelled King swap.`);
-      }
+      answerUndo(room, room.players[ensurePlayer(room, socket.id)], accept);
+      emitRoom(room);
+      cb?.({ ok: true, undoVote: room.undoVote });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
+  });
 
-      room.discardPile.push(room.activeDraw.card);
-      room.activeDraw = null;
-      room.pending = null;
+  // Valentine sync events
+  on("val:no", ({ roomId }, cb) => {
+    try {
+      const room = getRoomOrThrow(roomId);
+      room.valState.noClicks = (room.valState.noClicks || 0) + 1;
+      room.log.push(msg("VALENTINE_NO", { count: room.valState.noClicks }));
+      io.to(roomId).emit("val:update", { valState: room.valState });
+      emitRoom(room);
+      cb?.({ ok: true, valState: room.valState });
+    } catch (e) { cb?.({ ok: false, ...errorFields(e, socket.data.locale) }); }
+  });
 
-      advanceTurn(room);
+  on("val:yes", ({ roomId }, cb) => {
+    try {
+      const room = getRoomOrThrow(roomId);
+      room.valState.accepted = true;
+      room.log.push(msg("VALENTINE_YES"));
+      io.to(roomId).emit("val:update", { valState: room.valState });
       emitRoom(room);
-      cb?.({ ok: true });
-    } catch (e) { cb?.({ ok:false, error:e.message }); }
+      cb?.({ ok: true, valState: room.valState });
+    } catch (e) { cb?.({ ok: false, ...errorFields(e, socket.data.locale) }); }
   });
-function requireCenterPower(room, socketId) {
-  if (room.phase !== "CENTER_POWER") throw new Error("Not in center power phase");
-  if (!room.centerPower) throw new Error("No center power");
-  if (room.centerPower.ownerSocketId !== socketId) throw new Error("Not your center power");
-  return room.centerPower.card;
-}
 
-// 7/8 peek own
-socket.on("centerPower:peekOwn", ({ roomId, handIndex }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    ensureTurn(room, socket.id);
-
-    const c = requireCenterPower(room, socket.id);
-    if (!["7","8"].includes(c.r)) throw new Error("Not 7/8");
-    const p = room.players[room.turnIndex];
-    if (handIndex < 0 || handIndex >= p.hand.length) throw new Error("Bad index");
-
-    socket.emit("power:reveal", {
-      kind: "own",
-      index: handIndex,
-      card: { ...p.hand[handIndex], base: baseValue(p.hand[handIndex]), score: scoreValue(p.hand[handIndex]) }
+  for (const event of ACTIONS) {
+    on(event, (payload, cb) => {
+      try {
+        const room = getRoomOrThrow(payload?.roomId);
+        const me = room.players[ensurePlayer(room, socket.id)];
+        cb?.({ ok: true, ...runAction(room, me, event, payload, burnReceivedAt(socket)) });
+      } catch (e) {
+        cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+      }
     });
+  }
 
-    room.centerPower = null;
-    room.log.push(`${p.name} used CENTER 7/8 (peek own).`);
-    advanceTurn(room);
-    emitRoom(room);
-    cb?.({ ok:true });
-  } catch (e) { cb?.({ ok:false, error:e.message }); }
-});
-
-// 9/10 peek opp
-socket.on("centerPower:peekOpp", ({ roomId, oppIndex }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    ensureTurn(room, socket.id);
+  on("room:rejoin", ({ roomId, token }, cb) => {
+    try {
+      const room = getRoomOrThrow(roomId);
+      const p = token && room.players.find(x => x.token === token);
+      if (!p) throw new KaboError("SEAT_NOT_FOUND");
 
-    const c = requireCenterPower(room, socket.id);
-    if (!["9","10"].includes(c.r)) throw new Error("Not 9/10");
+      clearTimeout(graceTimers.get(p.id));
+      graceTimers.delete(p.id);
+      if (p.socketId && p.socketId !== socket.id) io.in(p.socketId).socketsLeave(roomId);
 
-    const meIdx = room.turnIndex;
-    const opp = room.players[(meIdx + 1) % 2];
-    if (oppIndex < 0 || oppIndex >= opp.hand.length) throw new Error("Bad index");
+      p.socketId = socket.id;
+      p.connected = true;
+      socket.join(roomId);
+      room.log.push(msg("RECONNECTED", { name: p.name }));
 
-    socket.emit("power:reveal", {
-      kind: "opp",
-      index: oppIndex,
-      card: { ...opp.hand[oppIndex], base: baseValue(opp.hand[oppIndex]), score: scoreValue(opp.hand[oppIndex]) }
-    });
+      play(room, () => resendPrivateState(room, p.id));
+      emitRoom(room);
+      cb?.({ ok: true, roomId, playerId: p.id });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
+  });
 
-    room.centerPower = null;
-    room.log.push(`${room.players[meIdx].name} used CENTER 9/10 (peek opp).`);
-    advanceTurn(room);
-    emitRoom(room);
-    cb?.({ ok:true });
-  } catch (e) { cb?.({ ok:false, error:e.message }); }
-});
+  // Watch a room without a seat. feed: "live" (default) or "omniscient" if the host enabled it.
+  on("room:spectate", ({ roomId, name, feed, password }, cb) => {
+    try {
+      const room = getRoomOrThrow(roomId);
+      checkPassword(room, password);
+      if (room.players.some(p => p.socketId === socket.id)) throw new KaboError("ALREADY_SEATED");
+      if (room.spectators.some(s => s.socketId === socket.id)) throw new KaboError("ALREADY_WATCHING");
+      if (room.spectators.length >= MAX_SPECTATORS) throw new KaboError("TOO_MANY_SPECTATORS");
+      if (feed === "omniscient" && !room.spectatorFeed.omniscient) throw new KaboError("OMNISCIENT_OFF");
+
+      const spectator = {
+        id: crypto.randomBytes(6).toString("hex"),
+        socketId: socket.id,
+        name: (name || "Spectator").slice(0, 16),
+        feed: feed === "omniscient" ? "omniscient" : "live"
+      };
+      room.spectators.push(spectator);
+      socket.join(spectator.feed === "omniscient" ? omniChannel(roomId) : liveChannel(roomId));
 
-// Jack skip
-socket.on("centerPower:jackSkip", ({ roomId }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    ensureTurn(room, socket.id);
+      room.log.push(msg("WATCHING", { name: spectator.name }));
+      emitRoom(room);
+      cb?.({ ok: true, spectatorId: spectator.id, delayMs: spectator.feed === "omniscient" ? room.spectatorFeed.delayMs : 0 });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
+  });
 
-    const c = requireCenterPower(room, socket.id);
-    if (c.r !== "J") throw new Error("Not Jack");
+  // Host opt-in for the delayed all-cards feed.
+  on("spectate:setFeed", ({ roomId, omniscient, delayMs }, cb) => {
+    try {
+      const room = getRoomOrThrow(roomId);
+      requireHost(room, socket, "SPECTATOR_FEED");
 
-    const meIdx = room.turnIndex;
-    const opp = room.players[(meIdx + 1) % 2];
-    room.skipNextFor = opp.socketId;
+      const delay = Number.isFinite(delayMs) ? delayMs : room.spectatorFeed.delayMs;
+      room.spectatorFeed = {
+        omniscient: !!omniscient,
+        delayMs: Math.min(OMNISCIENT_DELAY_MS.max, Math.max(OMNISCIENT_DELAY_MS.min, delay))
+      };
 
-    room.centerPower = null;
-    room.log.push(`${room.players[meIdx].name} used CENTER Jack (skip).`);
-    advanceTurn(room);
-    emitRoom(room);
-    cb?.({ ok:true });
-  } catch (e) { cb?.({ ok:false, error:e.message }); }
-});
+      // anyone on the omniscient feed drops back to live when it is switched off
+      if (!room.spectatorFeed.omniscient) {
+        for (const s of room.spectators.filter(x => x.feed === "omniscient")) {
+          io.in(s.socketId).socketsLeave(omniChannel(roomId));
+          io.in(s.socketId).socketsJoin(liveChannel(roomId));
+          s.feed = "live";
+        }
+      }
 
-// Queen unseen swap
-socket.on("centerPower:queenUnseenSwap", ({ roomId, myIndex, oppIndex }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    ensureTurn(room, socket.id);
+      room.log.push(room.spectatorFeed.omniscient
+        ? msg("OMNISCIENT_ON", { delay: Math.round(room.spectatorFeed.delayMs / 1000) })
+        : msg("OMNISCIENT_OFF_LOG"));
+      emitRoom(room);
+      cb?.({ ok: true, spectatorFeed: room.spectatorFeed });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
+  });
 
-    const c = requireCenterPower(room, socket.id);
-    if (c.r !== "Q") throw new Error("Not Queen");
+  // Room chat: players write to the table, spectators to their own channel.
+  on("chat:send", ({ roomId, text, emote, reactTo }, cb) => {
+    try {
+      const room = getRoomOrThrow(roomId);
+      const { member, channel } = chatMember(room, socket.id);
+      const message = postChat(room, member, channel, { text, emote, reactTo });
+      cb?.({ ok: true, id: message.id });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
+  });
 
-    const meIdx = room.turnIndex;
-    const meP = room.players[meIdx];
-    const opp = room.players[(meIdx + 1) % 2];
-    if (myIndex < 0 || myIndex >= meP.hand.length) throw new Error("Bad my index");
-    if (oppIndex < 0 || oppIndex >= opp.hand.length) throw new Error("Bad opp index");
+  // Older spectator clients: same as chat:send with text.
+  on("spectator:chat", ({ roomId, text }, cb) => {
+    try {
+      const room = getRoomOrThrow(roomId);
+      const { member, channel } = chatMember(room, socket.id);
+      const message = postChat(room, member, channel, { text });
+      cb?.({ ok: true, id: message.id });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
+  });
 
-    const tmp = meP.hand[myIndex];
-    meP.hand[myIndex] = opp.hand[oppIndex];
-    opp.hand[oppIndex] = tmp;
+  on("chat:history", ({ roomId }, cb) => {
+    try {
+      const room = getRoomOrThrow(roomId);
+      const { member } = chatMember(room, socket.id);
+      cb?.({ ok: true, messages: chatHistory(room, member), emotes: EMOTES });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
+  });
 
-    room.centerPower = null;
-    room.log.push(`${meP.name} used CENTER Queen (unseen swap).`);
-    advanceTurn(room);
-    emitRoom(room);
-    cb?.({ ok:true });
-  } catch (e) { cb?.({ ok:false, error:e.message }); }
-});
+  // Personal mute of one player or spectator; only affects what this socket receives.
+  on("chat:mute", ({ roomId, playerId, muted }, cb) => {
+    try {
+      const room = getRoomOrThrow(roomId);
+      const { member } = chatMember(room, socket.id);
+      if (playerId === member.id) throw new KaboError("CANNOT_MUTE_SELF");
+      if (![...room.players, ...room.spectators].some(x => x.id === playerId)) throw new KaboError("NO_SUCH_PLAYER");
+      const rest = (member.muted ?? []).filter(id => id !== playerId);
+      member.muted = muted ? [...rest, playerId] : rest;
+      rooms.save(room);
+      cb?.({ ok: true, muted: member.muted });
+    } catch (e) {
+      cb?.({ ok: false, ...errorFields(e, socket.data.locale) });
+    }
+  });
 
-function requireCenterPower(room, socketId) {
-  if (room.phase !== "CENTER_POWER") throw new Error("Not in center power phase");
-  if (!room.centerPower) throw new Error("No center power");
-  if (room.centerPower.ownerSocketId !== socketId) throw new Error("Not your center power");
-  return room.centerPower.card;
 }
 
-// 7/8 peek own
-socket.on("centerPower:peekOwn", ({ roomId, handIndex }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    ensureTurn(room, socket.id);
-
-    const c = requireCenterPower(room, socket.id);
-    if (!["7","8"].includes(c.r)) throw new Error("Not 7/8");
-    const p = room.players[room.turnIndex];
-    if (handIndex < 0 || handIndex >= p.hand.length) throw new Error("Bad index");
-
-    socket.emit("power:reveal", {
-      kind: "own",
-      index: handIndex,
-      card: { ...p.hand[handIndex], base: baseValue(p.hand[handIndex]), score: scoreValue(p.hand[handIndex]) }
-    });
-
-    room.centerPower = null;
-    room.log.push(`${p.name} used CENTER 7/8 (peek own).`);
-    advanceTurn(room);
-    emitRoom(room);
-    cb?.({ ok:true });
-  } catch (e) { cb?.({ ok:false, error:e.message }); }
-});
-
-// 9/10 peek opp
-socket.on("centerPower:peekOpp", ({ roomId, oppIndex }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    ensureTurn(room, socket.id);
-
-    const c = requireCenterPower(room, socket.id);
-    if (!["9","10"].includes(c.r)) throw new Error("Not 9/10");
+// In the lobby a dropped player just leaves; mid-game the seat is held for a rejoin.
+function dropSocket(socketId) {
+  for (const room of rooms.values()) {
+    const si = room.spectators.findIndex(s => s.socketId === socketId);
+    if (si >= 0) {
+      room.spectators.splice(si, 1);
+      emitRoom(room);
+    }
 
-    const meIdx = room.turnIndex;
-    const opp = room.players[(meIdx + 1) % 2];
-    if (oppIndex < 0 || oppIndex >= opp.hand.length) throw new Error("Bad index");
+    const p = room.players.find(x => x.socketId === socketId);
+    if (!p) continue;
 
-    socket.emit("power:reveal", {
-      kind: "opp",
-      index: oppIndex,
-      card: { ...opp.hand[oppIndex], base: baseValue(opp.hand[oppIndex]), score: scoreValue(opp.hand[oppIndex]) }
-    });
+    if (!room.started) {
+      removePlayer(room, p.id);
+      break;
+    }
 
-    room.centerPower = null;
-    room.log.push(`${room.players[meIdx].name} used CENTER 9/10 (peek opp).`);
-    advanceTurn(room);
+    holdSeat(room, p);
+    room.log.push(msg("DISCONNECTED", { name: p.name, seconds: Math.round(REJOIN_GRACE_MS / 1000) }));
     emitRoom(room);
-    cb?.({ ok:true });
-  } catch (e) { cb?.({ ok:false, error:e.message }); }
-});
-
-// Jack skip
-socket.on("centerPower:jackSkip", ({ roomId }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    ensureTurn(room, socket.id);
-
-    const c = requireCenterPower(room, socket.id);
-    if (c.r !== "J") throw new Error("Not Jack");
-
-    const meIdx = room.turnIndex;
-    const opp = room.players[(meIdx + 1) % 2];
-    room.skipNextFor = opp.socketId;
+    break;
+  }
+}
 
-    room.centerPower = null;
-    room.log.push(`${room.players[meIdx].name} used CENTER Jack (skip).`);
-    advanceTurn(room);
+/**
+ * Bring back games that were in progress when the process stopped. Nobody is
+ * connected yet, so every seat starts its rejoin grace period now; lobby rooms
+ * and finished matches are dropped.
+ */
+async function restoreRooms() {
+  for (const room of await rooms.loadAll()) {
+    // reopened elsewhere in the cluster while this instance was down
+    if (!room.started || room.match?.over || !(await cluster.claim(room.id))) {
+      rooms.delete(room.id);
+      continue;
+    }
+    room.spectators = [];
+    room.shuffles ??= [];
+    room.chat ??= newChat();
+    room.hostId ??= room.players.find(p => !p.bot)?.id;
+    room.createdAt ??= Date.now();
+    rooms.set(room.id, room);
+    for (const p of room.players) if (!p.bot) holdSeat(room, p);
+    room.log.push(msg("SERVER_RESTARTED"));
     emitRoom(room);
-    cb?.({ ok:true });
-  } catch (e) { cb?.({ ok:false, error:e.message }); }
-});
-
-// Queen unseen swap
-socket.on("centerPower:queenUnseenSwap", ({ roomId, myIndex, oppIndex }, cb) => {
-  try {
-    const room = getRoomOrThrow(roomId);
-    ensureTurn(room, socket.id);
-
-    const c = requireCenterPower(room, socket.id);
-    if (c.r !== "Q") throw new Error("Not Queen");
-
-    const meIdx = room.turnIndex;
-    const meP = room.players[meIdx];
-    const opp = room.players[(meIdx + 1) % 2];
-    if (myIndex < 0 || myIndex >= meP.hand.length) throw new Error("Bad my index");
-    if (oppIndex < 0 || oppIndex >= opp.hand.length) throw new Error("Bad opp index");
-
-    const tmp = meP.hand[myIndex];
-    meP.hand[myIndex] = opp.hand[oppIndex];
-    opp.hand[oppIndex] = tmp;
+  }
+}
 
-    room.centerPower = null;
-    room.log.push(`${meP.name} used CENTER Queen (unseen swap).`);
-    advanceTurn(room);
-    emitRoom(room);
-    cb?.({ ok:true });
-  } catch (e) { cb?.({ ok:false, error:e.message }); }
-});
+await accounts.load();
+await restoreRooms();
+server.listen(PORT, () => console.log(`Kabo server ${INSTANCE_ID} listening on :${server.address().port}`));
 
-  socket.on("disconnect", () => {
-    for (const [id, room] of rooms.entries()) {
-      const idx = room.players.findIndex(p => p.socketId === socket.id);
-      if (idx >= 0) {
-        const name = room.players[idx].name;
-        room.players.splice(idx, 1);
-        room.log.push(`${name} disconnected.`);
-
-        if (room.players.length === 0) {
-          rooms.delete(id);
-        } else {
-          room.started = false;
-          room.phase = "LOBBY";
-          room.drawPile = [];
-          room.discardPile = [];
-          room.activeDraw = null;
-          room.caboCalledBy = null;
-          room.lastTurnFor = null;
-          room.skipNextFor = null;
-          room.pending = null;
-          room.ended = null;
-          room.log.push(`Back to lobby.`);
-          emitRoom(room);
-        }
-        break;
-      }
-    }
-  });
-});
+// Orchestrators stop an instance with SIGTERM; in a cluster its games move on first.
+if (cluster.adapter) process.once("SIGTERM", () => drainInstance().finally(() => process.exit(0)));
 
-server.listen(PORT, () => console.log(`Kabo server listening on :${PORT}`));
+// The test suite runs the server in-process and looks at its rooms (see test/);
+// the game itself is tested straight against engine.js.
+export { server, io, rooms, drainInstance };
@@ -0,0 +1,98 @@
+import fs from "fs";
+import path from "path";
+
+// =====================
+// Room storage
+// =====================
+// Rooms are always served from memory; a store only decides what happens to a
+// snapshot after each mutation (save) and what comes back on boot (loadAll).
+// Snapshots are plain JSON, so nothing non-serialisable (timers, sockets) may
+// live on a room object.
+
+export class MemoryStore {
+  constructor() {
+    this.rooms = new Map();
+  }
+
+  get(id) { return this.rooms.get(id); }
+  has(id) { return this.rooms.has(id); }
+  set(id, room) { this.rooms.set(id, room); return this; }
+  delete(id) { return this.rooms.delete(id); }
+  values() { return this.rooms.values(); }
+  entries() { return this.rooms.entries(); }
+  get size() { return this.rooms.size; }
+
+  save() {}
+  async loadAll() { return []; }
+}
+
+/**
+ * One JSON file per room in `dir`. Saves are coalesced per room and written
+ * atomically (tmp file + rename) so a crash mid-write leaves the last good snapshot.
+ */
+export class FileStore extends MemoryStore {
+  constructor(dir) {
+    super();
+    this.dir = dir;
+    this.dirty = new Set();
+    this.writing = Promise.resolve();
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  file(id) {
+    if (!/^[A-Z0-9]+$/.test(id)) throw new Error(`Bad room id for storage: ${id}`);
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  save(room) {
+    if (this.dirty.size === 0) setImmediate(() => this.flush());
+    this.dirty.add(room.id);
+  }
+
+  flush() {
+    const ids = [...this.dirty];
+    this.dirty.clear();
+    this.writing = this.writing.then(async () => {
+      for (const id of ids) {
+        const room = this.rooms.get(id);
+        if (!room) continue;
+        const tmp = `${this.file(id)}.tmp`;
+        try {
+          await fs.promises.writeFile(tmp, JSON.stringify(room));
+          await fs.promises.rename(tmp, this.file(id));
+        } catch (e) {
+          console.error(`Saving room ${id} failed:`, e.message);
+        }
+      }
+    });
+    return this.writing;
+  }
+
+  delete(id) {
+    this.dirty.delete(id);
+    this.writing = this.writing.then(() => fs.promises.rm(this.file(id), { force: true }));
+    return super.delete(id);
+  }
+
+  async loadAll() {
+    const rooms = [];
+    for (const name of await fs.promises.readdir(this.dir)) {
+      if (!name.endsWith(".json")) continue;
+      try {
+        rooms.push(JSON.parse(await fs.promises.readFile(path.join(this.dir, name), "utf8")));
+      } catch (e) {
+        console.error(`Skipping unreadable room snapshot ${name}:`, e.message);
+      }
+    }
+    return rooms;
+  }
+}
+
+/**
+ * KABO_STORE=file keeps snapshots in KABO_STORE_DIR (default ./data/rooms);
+ * anything else keeps rooms in memory only.
+ */
+export function createStore(env = process.env) {
+  if (env.KABO_STORE === "file") return new FileStore(env.KABO_STORE_DIR || path.join("data", "rooms"));
+  return new MemoryStore();
+}
@@ -0,0 +1,60 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, call, next, until } from "./helpers.js";
+
+// The HTTP side: the admin API (KABO_ADMIN_TOKEN set), metrics and the leaderboard.
+
+const TOKEN = "admin-test-token";
+
+let srv;
+before(async () => { srv = await startServer({ KABO_ADMIN_TOKEN: TOKEN }); });
+after(() => srv.close());
+
+const admin = (path, { method = "GET", token = TOKEN, body } = {}) => fetch(`${srv.url}/admin${path}`, {
+  method,
+  headers: { authorization: `Bearer ${token}`, "content-type": "application/json" },
+  body: body && JSON.stringify(body)
+});
+
+test("the admin API lists, inspects, notifies, ends and closes rooms", async () => {
+  const [ann, bob] = [await srv.client(), await srv.client()];
+  const { roomId } = await call(ann, "room:create", { name: "Ann", password: "secret" });
+  assert.equal((await call(bob, "room:join", { roomId, name: "Bob", password: "secret" })).ok, true);
+  assert.deepEqual(await call(ann, "game:start", { roomId }), { ok: true });
+  await until(ann, s => s.started);
+
+  assert.equal((await admin("/rooms", { token: "wrong" })).status, 401);
+  const list = await admin("/rooms");
+  assert.equal(list.status, 200);
+  const summary = (await list.json()).find(r => r.id === roomId);
+  assert.deepEqual([summary.started, summary.round, summary.players.map(p => p.name)], [true, 1, ["Ann", "Bob"]]);
+
+  const room = await (await admin(`/rooms/${roomId}`)).json();
+  assert.equal(room.id, roomId);
+  assert.ok(!("password" in room) && room.players.every(p => !("token" in p)), "nothing that opens the room or a seat");
+
+  const notice = next(bob, "server:notice");
+  assert.deepEqual(await (await admin("/notice", { method: "POST", body: { message: "Restart soon", roomId } })).json(), { ok: true, rooms: 1 });
+  assert.equal((await notice).message, "Restart soon");
+
+  const ended = await (await admin(`/rooms/${roomId}/end`, { method: "POST" })).json();
+  assert.equal(ended.ok, true);
+  await until(ann, s => s.phase === "ENDED" && s.match.over);
+
+  assert.deepEqual(await (await admin(`/rooms/${roomId}`, { method: "DELETE" })).json(), { ok: true });
+  assert.equal((await admin(`/rooms/${roomId}`)).status, 404);
+});
+
+test("GET /metrics is open and counts rounds", async () => {
+  const res = await fetch(`${srv.url}/metrics`);
+  assert.equal(res.status, 200);
+  const text = await res.text();
+  assert.match(text, /^kabo_games_started_total \d+$/m);
+  assert.match(text, /^kabo_sockets_connected \d+$/m);
+});
+
+test("the leaderboard only takes its own sorts and presets", async () => {
+  for (const query of ["sort=__proto__", "sort=constructor", "sort=rating&preset=__proto__", "sort=rating&preset=toString"]) {
+    assert.equal((await fetch(`${srv.url}/leaderboard?${query}`)).status, 400, query);
+  }
+});
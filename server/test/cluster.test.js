@@ -0,0 +1,83 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, call, next, until, dealt } from "./helpers.js";
+import { createCluster } from "../cluster.js";
+
+// Two instances on the in-process cluster: a room is pinned to one of them and
+// played from sockets on both, then moved when its instance drains.
+
+let a, b;
+before(async () => {
+  a = await startServer({ KABO_CLUSTER: "local", KABO_INSTANCE_ID: "a" });
+  b = await startServer({ KABO_CLUSTER: "local", KABO_INSTANCE_ID: "b" });
+  // the adapters' heartbeats introduce the instances to each other
+  const peers = (srv) => srv.kabo.io.of("/").adapter.nodesMap.size;
+  while (peers(a) < 1 || peers(b) < 1) await new Promise(resolve => setTimeout(resolve, 5));
+});
+after(async () => {
+  await a.close();
+  await b.close();
+});
+
+const card = ({ r, s }) => ({ r, s });
+
+test("a room is played from both instances and survives its instance draining", async () => {
+  const seed = "cluster-1";
+  const { hands } = dealt(seed, 2);
+  const ann = await a.client();
+  const bob = await b.client();
+
+  const { roomId } = await call(ann, "room:create", { name: "Ann", seed });
+  assert.ok(a.kabo.rooms.has(roomId) && !b.kabo.rooms.has(roomId), "the room is pinned where it was opened");
+  assert.ok((await call(bob, "lobby:list")).rooms.some(r => r.id === roomId), "the lobby spans instances");
+
+  assert.equal((await call(bob, "room:join", { roomId, name: "Bob" })).ok, true);
+  await until(bob, s => s.players.length === 2);
+  assert.deepEqual(await call(ann, "game:start", { roomId }), { ok: true });
+  await until(bob, s => s.phase === "PEEK");
+
+  // private events reach a socket on the other instance
+  const peek = next(bob, "peek:result");
+  assert.equal((await call(bob, "game:peek", { roomId, index: 0 })).ok, true);
+  assert.deepEqual(card((await peek).card), hands[1][0]);
+  assert.equal((await call(bob, "game:peek", { roomId, index: 9 })).code, "BAD_INDEX");
+
+  assert.deepEqual(await a.kabo.drainInstance(), { instance: "a", moved: 1, kept: 0 });
+  assert.ok(b.kabo.rooms.has(roomId) && !a.kabo.rooms.has(roomId), "the room moved");
+  const moved = b.kabo.rooms.get(roomId);
+  assert.equal(moved.phase, "PEEK");
+  assert.deepEqual(moved.players.map(p => p.hand.map(card)), hands);
+
+  // Ann stays connected to the drained instance and plays on
+  const annPeek = next(ann, "peek:result");
+  assert.equal((await call(ann, "game:peek", { roomId, index: 3 })).ok, true);
+  assert.deepEqual(card((await annPeek).card), hands[0][3]);
+  const rounds = await fetch(`${a.url}/rooms/${roomId}/rounds`);
+  assert.equal(rounds.status, 200);
+
+  // a draining instance opens no rooms of its own
+  const other = await call(ann, "room:create", { name: "Ann" });
+  assert.ok(b.kabo.rooms.has(other.roomId));
+  assert.equal((await call(ann, "queue:join", { name: "Ann" })).code, "SERVER_DRAINING");
+
+  ann.close();
+  await until(bob, s => s.players.find(p => p.name === "Ann").connected === false);
+});
+
+test("KABO_CLUSTER can name a module that makes the cluster", async () => {
+  const plugin = (source) => ({ KABO_CLUSTER: `data:text/javascript,${encodeURIComponent(source)}` });
+  const shared = await createCluster("c", plugin(`
+    const owners = new Map();
+    export const createCluster = async (instanceId) => ({
+      adapter: null,
+      async claim(id) { return !owners.has(id) && !!owners.set(id, instanceId); },
+      async owner(id) { return owners.get(id) ?? null; },
+      async move(id, to) { owners.set(id, to); },
+      async release(id) { owners.delete(id); }
+    });`));
+  assert.equal(await shared.claim("ROOM"), true);
+  assert.equal(await shared.owner("ROOM"), "c");
+
+  await assert.rejects(createCluster("c", plugin("export const other = 1;")), /does not export createCluster/);
+  await assert.rejects(createCluster("c", plugin("export const createCluster = () => ({ claim() {} });")), /without owner, move, release/);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { KaboError } from "../i18n.js";
+import { resolveRules, newTable, newSeat, newMatch, startGame, applyAction, closeBurnWindow, closeRound, resendPrivateState } from "../engine.js";
+import { dealt, findSeed } from "./helpers.js";
+
+// engine.js on its own: moves come back as events for the caller to deliver.
+
+const card = ({ r, s }) => ({ r, s });
+
+/** A dealt two-seat table with no peeks, Ann to move. */
+function table(seed) {
+  const room = newTable({ id: "ENGINE", seed, rules: { preset: "classic", peeks: 0 } });
+  room.players.push(newSeat("Ann"), newSeat("Bob"));
+  newMatch(room);
+  startGame(room);
+  return room;
+}
+
+test("moves hand back their events instead of sending them", () => {
+  // Ann draws a card without a power and Bob holds its rank in his first slot
+  const seed = findSeed(2, ({ hands, drawPile }) => "A23456".includes(drawPile.at(-1).r) && hands[1][0].r === drawPile.at(-1).r, "engine");
+  const { drawPile } = dealt(seed, 2);
+  const room = table(seed);
+  const [ann, bob] = room.players;
+
+  const take = applyAction(room, ann.id, { type: "turn:take", payload: { roomId: "ENGINE", source: "draw" } });
+  assert.equal(take.state, room);
+  assert.deepEqual(take.events.map(e => [e.playerId, e.event]), [[ann.id, "turn:drawResult"]]);
+  assert.deepEqual(card(take.events[0].payload.card), drawPile.at(-1));
+  assert.deepEqual(take.move, { type: "turn:take", playerId: ann.id, payload: { source: "draw" } });
+
+  applyAction(room, ann.id, { type: "turn:discardDrawn" });
+  const burn = applyAction(room, bob.id, { type: "burn:attempt", payload: { target: "self", index: 0 }, at: 1 });
+  assert.deepEqual(burn.reply, { windowId: room.burnWindow.id, closesAt: room.burnWindow.closesAt });
+  assert.deepEqual(burn.events, []);
+
+  // the whole table hears how the window went
+  const { events } = closeBurnWindow(room);
+  assert.deepEqual(events.map(e => [e.playerId, e.event]), [[null, "burn:resolved"]]);
+  assert.deepEqual(events[0].payload.results.map(r => [r.playerId, r.result]), [[bob.id, "BURN_OK"]]);
+  assert.equal(bob.hand.length, 3);
+  assert.deepEqual(room.history.actions.map(a => a.type), ["turn:take", "turn:discardDrawn", "burn:attempt", "burnResolve"]);
+});
+
+test("rejected moves and illegal phase changes are coded errors", () => {
+  const room = table("engine-errors");
+  const before = JSON.stringify(room);
+  assert.throws(() => applyAction(room, room.players[1].id, { type: "turn:take" }), { code: "NOT_YOUR_TURN" });
+  assert.throws(() => applyAction(room, "nobody", { type: "turn:take" }), { code: "NOT_IN_ROOM" });
+  assert.equal(JSON.stringify(room), before, "a rejected move leaves the table as it was");
+
+  closeRound(room);
+  assert.equal(room.phase, "ENDED");
+  assert.throws(() => closeRound(room), (e) => {
+    assert.ok(e instanceof KaboError);
+    assert.deepEqual([e.code, e.params], ["ILLEGAL_PHASE", { from: "ENDED", to: "ENDED" }]);
+    return true;
+  });
+});
+
+test("house rules only know their own presets and keys", () => {
+  for (const preset of ["__proto__", "toString", "constructor"]) {
+    assert.throws(() => resolveRules({ preset }), { code: "UNKNOWN_RULES_PRESET" });
+  }
+  assert.throws(() => resolveRules({ constructor: 5 }), { code: "UNKNOWN_RULE" });
+  assert.throws(() => resolveRules({ toString: "x" }), { code: "UNKNOWN_RULE" });
+  // nothing to take from the center at the deal, so a discard-only table could never start
+  assert.throws(() => resolveRules({ drawFrom: ["discard"] }), { code: "BAD_RULE_VALUE" });
+  assert.deepEqual(resolveRules({ drawFrom: ["discard", "draw"] }).drawFrom, ["discard", "draw"]);
+});
+
+test("a rejoin resends what the seat saw without spoiling take-backs", () => {
+  // no power on Ann's first card, so the turn passes straight to Bob
+  const seed = findSeed(2, ({ drawPile }) => "A23456".includes(drawPile.at(-1).r), "engine-resend");
+  const room = table(seed);
+  const [ann, bob] = room.players;
+  applyAction(room, ann.id, { type: "turn:take", payload: { source: "draw" } });
+  applyAction(room, ann.id, { type: "turn:discardDrawn" });
+  applyAction(room, bob.id, { type: "turn:take", payload: { source: "draw" } });
+  // Ann's burn while Bob decides is hers to take back
+  applyAction(room, ann.id, { type: "burn:attempt", payload: { target: "self", index: 0 }, at: 1 });
+  assert.equal(room.undoPoints[ann.id].blocked, null);
+
+  const { events } = resendPrivateState(room, bob.id);
+  assert.deepEqual(events.map(e => [e.playerId, e.event]), [[bob.id, "turn:drawResult"]]);
+  assert.deepEqual(card(events[0].payload.card), card(room.activeDraw.card));
+  assert.equal(room.undoPoints[ann.id].blocked, null, "showing Bob his own card again reveals nothing");
+});
@@ -0,0 +1,101 @@
+import crypto from "crypto";
+import { once } from "events";
+import { io as connect } from "socket.io-client";
+import { makeDeck, seededShuffle } from "../engine.js";
+
+// =====================
+// In-process server
+// =====================
+// server.js starts listening when it is imported, so the environment is set
+// first: a free port, short rejoin grace so closing sockets tears rooms down
+// quickly, fast bots and rate limits that scripted clients cannot trip. With
+// KABO_INSTANCE_ID set each call loads its own copy of the module, so several
+// instances can share the in-process cluster (KABO_CLUSTER=local).
+export async function startServer(env = {}) {
+  Object.assign(process.env, {
+    PORT: "0",
+    REJOIN_GRACE_MS: "20",
+    BOT_DELAY_MS: "5",
+    RATE_LIMIT_FACTOR: "100",
+    ...env
+  });
+  const kabo = await import(env.KABO_INSTANCE_ID ? `../server.js?instance=${env.KABO_INSTANCE_ID}` : "../server.js");
+  if (!kabo.server.listening) await once(kabo.server, "listening");
+  const url = `http://localhost:${kabo.server.address().port}`;
+  const clients = [];
+
+  return {
+    kabo,
+    url,
+    /** A connected client that keeps its latest room:update and every other event. */
+    async client(options = {}) {
+      const socket = connect(url, { transports: ["websocket"], reconnection: false, ...options });
+      socket.state = null;
+      socket.events = [];
+      socket.on("room:update", (state) => { socket.state = state; });
+      socket.onAny((event, payload) => { if (event !== "room:update") socket.events.push({ event, payload }); });
+      clients.push(socket);
+      await once(socket, "connect");
+      return socket;
+    },
+    async close() {
+      for (const socket of clients) socket.close();
+      await new Promise(resolve => kabo.io.close(resolve));
+    }
+  };
+}
+
+/** Emit with an ack and resolve with the reply. */
+export const call = (socket, event, payload = {}) => new Promise(resolve => socket.emit(event, payload, resolve));
+
+/** Resolve with the next `event` payload on socket that passes `match`. */
+export function next(socket, event, match = () => true, timeoutMs = 2_000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`No ${event} within ${timeoutMs}ms`));
+    }, timeoutMs);
+    const listener = (payload) => {
+      if (!match(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    };
+    socket.on(event, listener);
+  });
+}
+
+/** Wait until the socket's latest room:update passes `match`. */
+export function until(socket, match, timeoutMs = 2_000) {
+  if (socket.state && match(socket.state)) return Promise.resolve(socket.state);
+  return next(socket, "room:update", match, timeoutMs);
+}
+
+// =====================
+// Seeded decks
+// =====================
+// A seeded room's deal follows from the seed alone (see committedShuffle in
+// engine.js), so a test can know every hand before the first move.
+
+export function dealtDeck(seed, round = 1) {
+  const roundSeed = crypto.createHmac("sha256", seed).update(`${round}:1`).digest("hex");
+  return seededShuffle(makeDeck(), roundSeed);
+}
+
+/** Hands in seat order and the draw pile (top = last) for `players` seats. */
+export function dealt(seed, players, handSize = 4) {
+  const deck = dealtDeck(seed);
+  const hands = Array.from({ length: players }, () => deck.splice(-handSize));
+  return { hands, drawPile: deck };
+}
+
+/** The first seed "<prefix>-<n>" whose deal passes `match`. */
+export function findSeed(players, match, prefix = "test") {
+  for (let n = 0; n < 10_000; n++) {
+    const seed = `${prefix}-${n}`;
+    if (match(dealt(seed, players))) return seed;
+  }
+  throw new Error("No seed found");
+}
+
+export const sameCard = (a, b) => a.r === b.r && a.s === b.s;
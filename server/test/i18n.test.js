@@ -0,0 +1,73 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, call, until } from "./helpers.js";
+import en from "../locales/en.js";
+import de from "../locales/de.js";
+import { errorFields } from "../i18n.js";
+
+// Coded errors and log lines, rendered per client locale.
+
+let srv;
+before(async () => { srv = await startServer(); });
+after(() => srv.close());
+
+const lastLine = (state) => state.log.at(-1);
+
+test("catalogues agree on codes and params", () => {
+  const params = (text) => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+  for (const [code, text] of Object.entries(de)) {
+    assert.ok(Object.hasOwn(en, code), `${code} is not in the English catalogue`);
+    assert.deepEqual(params(text), params(en[code]), `${code} params`);
+  }
+  for (const code of Object.keys(en)) assert.ok(Object.hasOwn(de, code), `${code} is not in the German catalogue`);
+});
+
+test("internal errors reach players as INTERNAL_ERROR only", () => {
+  const logged = [];
+  const consoleError = console.error;
+  console.error = (...args) => logged.push(args);
+  try {
+    assert.deepEqual(errorFields(new TypeError("room.players is undefined"), "de"), {
+      error: de.INTERNAL_ERROR, code: "INTERNAL_ERROR", params: {}
+    });
+  } finally {
+    console.error = consoleError;
+  }
+  assert.equal(logged.length, 1, "the server logs what went wrong");
+  assert.equal(logged[0][1].message, "room.players is undefined");
+});
+
+test("errors and log lines carry codes and follow each client's locale", async () => {
+  const ann = await srv.client({ auth: { locale: "de-DE" } });
+  const bob = await srv.client({ extraHeaders: { "accept-language": "fr, en;q=0.8" } });
+
+  const created = await call(ann, "room:create", { name: "Ann" });
+  const { roomId } = created;
+  assert.deepEqual(await call(ann, "game:start", { roomId }), {
+    ok: false,
+    error: "Mindestens 2 Spieler nötig",
+    code: "NOT_ENOUGH_PLAYERS",
+    params: { min: 2 }
+  });
+
+  // field errors nest the expected shape as a message of its own
+  const bad = await call(bob, "room:join", { roomId, name: "" });
+  assert.equal(bad.code, "FIELD_INVALID");
+  assert.deepEqual(bad.params, { field: "name", expected: { code: "EXPECT_STRING", params: { min: 1, max: 64 } } });
+  assert.equal(bad.error, "name must be a string of 1-64 characters");
+
+  assert.equal((await call(bob, "room:join", { roomId, name: "Bob" })).ok, true);
+  const joined = { code: "JOINED", params: { name: "Bob" } };
+  assert.deepEqual(lastLine(await until(ann, s => lastLine(s).code === "JOINED")), { ...joined, text: "Bob ist beigetreten." });
+  assert.deepEqual(lastLine(await until(bob, s => lastLine(s).code === "JOINED")), { ...joined, text: "Bob joined." });
+
+  assert.deepEqual(await call(bob, "session:setLocale", { locale: "de-AT" }), { ok: true, locale: "de" });
+  await until(bob, s => lastLine(s).text === "Bob ist beigetreten.");
+  assert.equal((await call(bob, "session:setLocale", { locale: "xx" })).locale, "en");
+});
+
+test("HTTP errors follow Accept-Language", async () => {
+  const res = await fetch(`${srv.url}/profiles/nobody-here`, { headers: { "accept-language": "de" } });
+  assert.equal(res.status, 404);
+  assert.deepEqual(await res.json(), { error: "Profil nicht gefunden", code: "PROFILE_NOT_FOUND", params: {} });
+});
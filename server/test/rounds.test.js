@@ -0,0 +1,297 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startServer, call, next, until, dealt, findSeed } from "./helpers.js";
+
+// Scripted clients playing seeded rounds over real sockets.
+
+let srv;
+before(async () => { srv = await startServer(); });
+after(() => srv.close());
+
+const POWER_RANKS = ["7", "8", "9", "10", "J", "Q", "K"];
+const card = ({ r, s }) => ({ r, s });
+
+/** A seated room of `names.length` players: [clients, roomId, playerIds]. */
+async function table(names, { seed, rules }) {
+  const clients = await Promise.all(names.map(() => srv.client()));
+  const created = await call(clients[0], "room:create", { name: names[0], seed, rules, maxPlayers: names.length });
+  assert.equal(created.ok, true, created.error);
+  const ids = [created.playerId];
+  for (let i = 1; i < names.length; i++) {
+    const joined = await call(clients[i], "room:join", { roomId: created.roomId, name: names[i] });
+    assert.equal(joined.ok, true, joined.error);
+    ids.push(joined.playerId);
+  }
+  return [clients, created.roomId, ids];
+}
+
+async function start(host, roomId) {
+  assert.deepEqual(await call(host, "game:start", { roomId }), { ok: true });
+  return until(host, s => s.started);
+}
+
+/** Play a card from the draw pile straight to the center, passing up its power. */
+async function drawAndDiscard(socket, roomId) {
+  assert.equal((await call(socket, "turn:take", { roomId, source: "draw" })).ok, true);
+  assert.equal((await call(socket, "turn:discardDrawn", { roomId })).ok, true);
+  const state = await until(socket, s => s.phase !== "TURN_DECIDE");
+  if (state.phase === "CENTER_POWER" && state.turnPlayerId === state.players.find(p => p.isMe).id) {
+    assert.equal((await call(socket, "centerPower:skip", { roomId })).ok, true);
+  }
+}
+
+test("a seeded round deals known hands and plays to the end", async () => {
+  const seed = "rounds-full";
+  const { hands, drawPile } = dealt(seed, 2);
+  const [[a, b], roomId] = await table(["Ann", "Bob"], { seed, rules: { preset: "classic" } });
+  await start(a, roomId);
+
+  const peek = next(a, "peek:result");
+  assert.equal((await call(a, "game:peek", { roomId, index: 1 })).ok, true);
+  assert.deepEqual(card((await peek).card), hands[0][1]);
+  await call(a, "game:peek", { roomId, index: 2 });
+  await call(b, "game:peek", { roomId, index: 0 });
+  await call(b, "game:peek", { roomId, index: 3 });
+  const turn = await until(a, s => s.phase === "TURN_DRAW");
+  assert.equal(turn.turnPlayerId, turn.players[0].id);
+  assert.deepEqual(turn.known.map(k => k.index), [1, 2]);
+
+  const draw = next(a, "turn:drawResult");
+  await call(a, "turn:take", { roomId, source: "draw" });
+  assert.deepEqual(card((await draw).card), drawPile.at(-1));
+  assert.ok(!b.events.some(e => e.event === "turn:drawResult"), "the other player must not see the draw");
+
+  await call(a, "turn:swap", { roomId, handIndex: 3 });
+  const swapped = await until(a, s => s.phase !== "TURN_DECIDE");
+  assert.deepEqual(card(swapped.discardTop), hands[0][3]);
+  if (swapped.phase === "CENTER_POWER") await call(a, "centerPower:skip", { roomId });
+
+  await until(b, s => s.phase === "TURN_DRAW" && s.turnPlayerId === s.players[1].id);
+  assert.deepEqual(await call(b, "turn:cabo", { roomId }), { ok: true });
+  await until(a, s => s.phase === "LAST_TURN");
+  await drawAndDiscard(a, roomId);
+
+  const ended = await until(a, s => s.phase === "ENDED");
+  const expected = [[...hands[0].slice(0, 3), drawPile.at(-1)], hands[1]];
+  assert.deepEqual(ended.players.map(p => p.hand.map(card)), expected);
+  const value = (c) => (c.r === "K" && "HD".includes(c.s) ? -1 : { A: 1, J: 11, Q: 12, K: 13 }[c.r] ?? Number(c.r));
+  ended.players.forEach((p, i) => {
+    const entry = ended.ended.scores.find(x => x.id === p.id);
+    assert.equal(entry.score, expected[i].reduce((sum, c) => sum + value(c), 0));
+    assert.equal(entry.total, entry.score + entry.penalty);
+  });
+
+  const [deal] = ended.shuffles;
+  assert.equal(crypto.createHash("sha256").update(deal.seed).digest("hex"), deal.commitment);
+});
+
+test("a King played to the center previews both cards, then swaps them", async () => {
+  const seed = findSeed(2, ({ drawPile }) => drawPile.at(-1).r === "K", "center-king");
+  const { hands } = dealt(seed, 2);
+  const [[a, b], roomId, [, bobId]] = await table(["Ann", "Bob"], { seed, rules: { preset: "classic", peeks: 0 } });
+  const lobby = await until(a, s => s.players.length === 2);
+  assert.deepEqual(lobby.players.map(p => p.peeksLeft), [null, null], "peeks are counted at the deal");
+  assert.deepEqual((await start(a, roomId)).players.map(p => p.peeksLeft), [0, 0]);
+
+  const available = next(a, "center:powerAvailable");
+  await call(a, "turn:take", { roomId, source: "draw" });
+  await call(a, "turn:discardDrawn", { roomId });
+  assert.equal((await available).card.r, "K");
+
+  const preview = next(a, "king:preview");
+  assert.equal((await call(a, "centerPower:kingPreview", { roomId, myIndex: 0, targetId: bobId, oppIndex: 2 })).ok, true);
+  const { myCard, oppCard } = await preview;
+  assert.deepEqual([card(myCard), card(oppCard)], [hands[0][0], hands[1][2]]);
+
+  assert.equal((await call(a, "centerPower:skip", { roomId })).error, "Resolve pending action first");
+  assert.equal((await call(a, "power:kingConfirm", { roomId, confirm: true })).ok, false);
+  assert.deepEqual(await call(a, "centerPower:kingConfirm", { roomId, confirm: true }), { ok: true });
+
+  const after = await until(a, s => s.phase === "TURN_DRAW");
+  assert.equal(after.turnPlayerId, bobId);
+  const known = Object.fromEntries(after.known.map(k => [`${k.playerId === bobId ? "bob" : "ann"}${k.index}`, card(k.card)]));
+  assert.deepEqual(known, { ann0: hands[1][2], bob2: hands[0][0] });
+  assert.equal((await until(b, s => s.turnPlayerId === bobId)).known.length, 0);
+});
+
+test("a King swap finds its previewed cards again after a burn moves them", async () => {
+  // Ann plays X; Bob draws a King and previews his first card against Ann's last,
+  // then Ann burns an X from in front of it before Bob confirms
+  const seed = findSeed(2, ({ hands, drawPile }) => {
+    const x = drawPile.at(-1);
+    const i = hands[0].findIndex(c => c.r === x.r);
+    return !POWER_RANKS.includes(x.r) && drawPile.at(-2).r === "K" && i >= 0 && i < 3;
+  }, "king-burn");
+  const { hands, drawPile } = dealt(seed, 2);
+  const burned = hands[0].findIndex(c => c.r === drawPile.at(-1).r);
+  const [[a, b], roomId, [annId, bobId]] = await table(["Ann", "Bob"], {
+    seed,
+    rules: { preset: "classic", peeks: 0, burnWindowMs: 500 }
+  });
+  await start(a, roomId);
+  await drawAndDiscard(a, roomId);
+
+  await until(b, s => s.turnPlayerId === bobId && s.phase === "TURN_DRAW");
+  await call(b, "turn:take", { roomId, source: "draw" });
+  const preview = next(b, "king:preview");
+  assert.equal((await call(b, "power:kingPreview", { roomId, myIndex: 0, targetId: annId, oppIndex: 3 })).ok, true);
+  await preview;
+
+  const resolved = next(a, "burn:resolved");
+  assert.equal((await call(a, "burn:attempt", { roomId, target: "self", index: burned })).ok, true);
+  assert.deepEqual((await resolved).results.map(r => r.result), ["BURN_OK"]);
+  assert.deepEqual(await call(b, "power:kingConfirm", { roomId, confirm: true }), { ok: true });
+
+  const room = srv.kabo.rooms.get(roomId);
+  const ann = hands[0].filter((_, i) => i !== burned);
+  ann[2] = hands[1][0];
+  assert.deepEqual(room.players.map(p => p.hand.map(card)), [ann, [hands[0][3], ...hands[1].slice(1)]]);
+});
+
+test("skipping a center power passes the turn exactly once", async () => {
+  const seed = findSeed(2, ({ drawPile }) => drawPile.at(-1).r === "7", "center-skip");
+  const [[a], roomId, [, bobId]] = await table(["Ann", "Bob"], { seed, rules: { preset: "classic", peeks: 0 } });
+  await start(a, roomId);
+
+  await call(a, "turn:take", { roomId, source: "draw" });
+  await call(a, "turn:discardDrawn", { roomId });
+  await until(a, s => s.phase === "CENTER_POWER");
+  assert.deepEqual(await call(a, "centerPower:skip", { roomId }), { ok: true });
+  assert.equal((await call(a, "centerPower:skip", { roomId })).error, "No center power to skip");
+
+  const state = await until(a, s => s.phase === "TURN_DRAW");
+  assert.equal(state.turnPlayerId, bobId);
+});
+
+test("burns in one window are judged together against the card that opened it", async () => {
+  // Ann plays X; Bob steal-burns Ann's card of rank X, Cat steal-burns another of Ann's cards
+  const seed = findSeed(3, ({ hands, drawPile }) => {
+    const x = drawPile.at(-1);
+    return !POWER_RANKS.includes(x.r) && hands[0].some(c => c.r === x.r) && hands[0].some(c => c.r !== x.r);
+  }, "burn-window");
+  const { hands, drawPile } = dealt(seed, 3);
+  const x = drawPile.at(-1);
+  const hit = hands[0].findIndex(c => c.r === x.r);
+  const miss = hands[0].findIndex(c => c.r !== x.r);
+
+  const [[a, b, c], roomId, [annId, bobId, catId]] = await table(["Ann", "Bob", "Cat"], {
+    seed,
+    rules: { preset: "classic", peeks: 0, burnWindowMs: 300 }
+  });
+  await start(a, roomId);
+  await call(a, "turn:take", { roomId, source: "draw" });
+  await call(a, "turn:discardDrawn", { roomId });
+
+  const resolved = next(a, "burn:resolved");
+  const reveal = next(c, "burn:revealWrong");
+  assert.equal((await call(b, "burn:attempt", { roomId, target: "opp", targetId: annId, index: hit, giveIndex: 0 })).ok, true);
+  assert.equal((await call(c, "burn:attempt", { roomId, target: "opp", targetId: annId, index: miss, giveIndex: 1 })).ok, true);
+  assert.equal((await call(b, "burn:attempt", { roomId, target: "self", index: 0 })).error, "You already tried to burn this card.");
+
+  const { card: windowCard, results } = await resolved;
+  assert.deepEqual(card(windowCard), x);
+  assert.deepEqual(results.map(r => [r.playerId, r.result]), [[bobId, "BURN_OK_STEAL"], [catId, "BURN_WRONG_STEAL"]]);
+  assert.deepEqual(card((await reveal).card), hands[0][miss]);
+  assert.ok(!b.events.some(e => e.event === "burn:revealWrong"));
+
+  const state = await until(a, s => !s.burnWindow && s.players[2].handCount === 5);
+  assert.deepEqual(state.players.map(p => p.handCount), [4, 3, 5]);
+  assert.deepEqual(card(state.discardTop), hands[0][hit]);
+});
+
+test("team play seats partners opposite and scores each team's combined hands", async () => {
+  const seed = "teams";
+  const [[a, b, c, d], roomId, [annId, bobId, catId, danId]] = await table(["Ann", "Bob", "Cat", "Dan"], {
+    seed,
+    rules: { preset: "classic", peeks: 0, teams: true }
+  });
+  assert.deepEqual(await call(a, "room:setTeam", { roomId, team: "A" }), { ok: true });
+  assert.deepEqual(await call(b, "room:setTeam", { roomId, team: "A" }), { ok: true });
+  assert.equal((await call(c, "room:setTeam", { roomId, playerId: danId, team: "B" })).error, "Only host can pick teams for others");
+  await call(a, "room:setTeam", { roomId, playerId: catId, team: "B" });
+  assert.equal((await call(a, "game:start", { roomId })).error, "Each team needs 2 players");
+  await call(d, "room:setTeam", { roomId, team: "B" });
+
+  const started = await start(a, roomId);
+  assert.deepEqual(started.players.map(p => [p.id, p.team]), [[annId, "A"], [catId, "B"], [bobId, "A"], [danId, "B"]]);
+
+  await drawAndDiscard(a, roomId);
+  assert.equal((await call(b, "burn:attempt", { roomId, target: "opp", targetId: annId, index: 0, giveIndex: 0 })).error, "Cannot target your partner");
+
+  await until(c, s => s.turnPlayerId === catId && s.phase === "TURN_DRAW");
+  assert.deepEqual(await call(c, "turn:cabo", { roomId }), { ok: true });
+  for (const [socket, id] of [[b, bobId], [d, danId], [a, annId]]) {
+    await until(socket, s => s.turnPlayerId === id && s.phase === "LAST_TURN");
+    await drawAndDiscard(socket, roomId);
+  }
+
+  const { ended } = await until(a, s => s.phase === "ENDED");
+  const { hands } = dealt(seed, 4);
+  const value = (c) => (c.r === "K" && "HD".includes(c.s) ? -1 : { A: 1, J: 11, Q: 12, K: 13 }[c.r] ?? Number(c.r));
+  const sum = (hand) => hand.reduce((total, c) => total + value(c), 0);
+  const teamA = sum(hands[0]) + sum(hands[2]);
+  const teamB = sum(hands[1]) + sum(hands[3]);
+  const entry = Object.fromEntries(ended.scores.map(e => [e.id, e]));
+  assert.deepEqual([annId, catId, bobId, danId].map(id => entry[id].hand), hands.map(sum));
+  assert.deepEqual([annId, bobId, catId, danId].map(id => entry[id].score), [teamA, teamA, teamB, teamB]);
+  const penalty = teamB > teamA ? 10 : 0;
+  assert.deepEqual([catId, danId, annId, bobId].map(id => entry[id].penalty), [penalty, penalty, 0, 0]);
+  assert.match(ended.winnerName, teamA <= teamB ? /^Team A \(Ann & Bob\)$/ : /^Team B \(Cat & Dan\)$/);
+});
+
+test("a move can be taken back with consent until a hidden card is shown", async () => {
+  const seed = findSeed(2, ({ hands, drawPile }) =>
+    [hands[0][0], hands[1][1], drawPile.at(-1)].every(c => !POWER_RANKS.includes(c.r)), "undo");
+  const { hands, drawPile } = dealt(seed, 2);
+  const [[a, b], roomId, [annId, bobId]] = await table(["Ann", "Bob"], { seed, rules: { preset: "classic", peeks: 0 } });
+  await start(a, roomId);
+
+  await call(a, "turn:take", { roomId, source: "draw" });
+  await call(a, "turn:swap", { roomId, handIndex: 0 });
+  await until(b, s => s.turnPlayerId === bobId);
+  assert.equal((await call(b, "game:requestUndo", { roomId })).error, "No move to take back");
+  assert.deepEqual((await call(a, "game:requestUndo", { roomId })).undoVote, { by: annId, event: "turn:swap", accepted: [] });
+  assert.equal((await call(a, "game:answerUndo", { roomId, accept: true })).error, "You asked for it");
+  assert.deepEqual(await call(b, "game:answerUndo", { roomId, accept: true }), { ok: true, undoVote: null });
+
+  const back = await until(a, s => s.turnPlayerId === annId);
+  assert.equal(back.phase, "TURN_DECIDE");
+  assert.equal(back.discardTop, null);
+  assert.deepEqual(await call(a, "turn:discardDrawn", { roomId }), { ok: true });
+  const played = await until(b, s => s.turnPlayerId === bobId && s.phase === "TURN_DRAW");
+  assert.deepEqual(card(played.discardTop), drawPile.at(-1));
+
+  await call(b, "turn:take", { roomId, source: "draw" });
+  const tooLate = "Too late to take that back (a hidden card was shown)";
+  assert.equal((await call(a, "game:requestUndo", { roomId })).error, tooLate);
+  assert.equal((await call(b, "game:requestUndo", { roomId })).error, tooLate, "seeing the card spoils the drawer's own point");
+
+  await call(b, "turn:swap", { roomId, handIndex: 1 });
+  await call(b, "game:requestUndo", { roomId });
+  assert.deepEqual(await call(a, "game:answerUndo", { roomId, accept: false }), { ok: true, undoVote: null });
+  const kept = await until(b, s => !s.undoVote);
+  assert.deepEqual(card(kept.discardTop), hands[1][1]);
+});
+
+test("kicks and new matches are for the lobby; kicks keep the kicked socket out", async () => {
+  const [[a, b, c], roomId, [, bobId, catId]] = await table(["Ann", "Bob", "Cat"], { seed: "kicks", rules: { preset: "classic" } });
+  const kicked = next(b, "room:kicked");
+  assert.deepEqual(await call(a, "room:kick", { roomId, playerId: bobId }), { ok: true });
+  assert.deepEqual(await kicked, { roomId });
+  assert.equal((await call(b, "room:join", { roomId, name: "Bob" })).code, "KICKED");
+
+  await start(a, roomId);
+  assert.equal((await call(a, "room:kick", { roomId, playerId: catId })).code, "KICK_LOBBY_ONLY");
+  assert.equal((await call(a, "game:start", { roomId })).code, "START_LOBBY_ONLY");
+  const state = await until(c, s => s.phase === "PEEK");
+  assert.deepEqual(state.players.map(p => p.name), ["Ann", "Cat"]);
+});
+
+test("the match queue only takes known presets", async () => {
+  const [a, b] = [await srv.client(), await srv.client()];
+  for (const socket of [a, b]) {
+    assert.equal((await call(socket, "queue:join", { name: "Ann", preset: "__proto__" })).code, "UNKNOWN_PRESET");
+  }
+  assert.equal(a.state, null, "no room was opened");
+});
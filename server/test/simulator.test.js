@@ -0,0 +1,271 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { newTable, newSeat, newMatch, startGame, applyAction, closeBurnWindow, tableView, replayRound } from "../engine.js";
+
+// Random games straight against engine.js, no server involved: every seat makes
+// random moves, legal or not, and the table is checked after each one. A failure names the game
+// seed; SIM_GAMES=n SIM_FROM=k replays games k..k+n-1. `npm run test:soak`
+// plays 5,000.
+
+const GAMES = Number(process.env.SIM_GAMES) || 100;
+const FROM = Number(process.env.SIM_FROM) || 0;
+const MAX_STEPS = 5_000; // attempted moves per round
+const ROUNDS_PER_GAME = 3;
+
+/** mulberry32: small, seedable and good enough to pick moves. */
+function prng(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4_294_967_296;
+  };
+  const int = (lo, hi) => lo + Math.floor(next() * (hi - lo + 1));
+  return { next, int, pick: (list) => list[int(0, list.length - 1)], chance: (p) => next() < p };
+}
+
+// power kind -> the event that uses it
+const POWER_EVENTS = { peekOwn: "peekOwn", peekOpp: "peekOpp", skip: "jackSkip", unseenSwap: "queenUnseenSwap", seenSwap: "kingPreview" };
+const cardKey = (c) => `${c.r}${c.s}`;
+
+function randomRules(rnd, seats) {
+  const handSize = rnd.int(2, 6);
+  const teams = seats === 4 && rnd.chance(0.5);
+  return {
+    ...(teams && { teams, partnerTargets: rnd.chance(0.3) }),
+    preset: rnd.pick(["house", "classic"]),
+    caboBelow: null, // any other limit can leave a round with nobody allowed to end it
+    handSize,
+    peeks: rnd.int(0, Math.min(handSize, 3)),
+    drawFrom: rnd.pick([["draw"], ["draw", "discard"], ["discard", "draw"]])
+  };
+}
+
+function newGame(n) {
+  const rnd = prng(n * 7919 + 1);
+  const seats = rnd.int(2, 5);
+  const room = newTable({ id: `SIM${n}`, seed: `sim-${n}`, rules: randomRules(rnd, seats) });
+  for (let i = 0; i < seats; i++) room.players.push(newSeat(`P${i}`));
+  if (room.rules.teams) for (const [i, team] of ["A", "A", "B", "B"].entries()) room.players[i].team = team;
+  newMatch(room);
+  startGame(room);
+  return { room, rnd };
+}
+
+// =====================
+// Moves
+// =====================
+// Indices run one past either end and targets include the mover, so a good share
+// of the moves are illegal; the engine must reject those without side effects.
+// Burn windows also close between moves ("burnResolve"), most often while a King
+// waits for its confirm, when the previewed cards can move under it.
+
+function randomPayload(rnd, room, me) {
+  const target = rnd.pick([...room.players, undefined]);
+  const size = (p) => (p?.hand.length ?? 4);
+  return {
+    handIndex: rnd.int(-1, size(me)),
+    index: rnd.int(-1, size(me)),
+    myIndex: rnd.int(-1, size(me)),
+    targetId: target?.id,
+    oppIndex: rnd.int(-1, size(target)),
+    confirm: rnd.chance(0.7)
+  };
+}
+
+function randomMove(rnd, room) {
+  const { pending } = room;
+  if (room.burnWindow && rnd.chance(pending ? 0.5 : 0.05)) return [null, "burnResolve"];
+
+  const turn = room.players[room.turnIndex];
+  const me = rnd.chance(0.9) ? turn : rnd.pick(room.players);
+  const payload = randomPayload(rnd, room, me);
+
+  if (rnd.chance(pending ? 0.5 : 0.08)) {
+    // a waiting King's own two players burn from the hands it looked at
+    const kingSide = pending && rnd.chance(0.5) ? rnd.pick([pending.playerId, pending.targetId]) : null;
+    const burner = kingSide ? room.players.find(p => p.id === kingSide) : rnd.pick(room.players);
+    const target = rnd.chance(0.5) ? "self" : "opp";
+    const victim = target === "self" ? burner : room.players.find(p => p.id === payload.targetId);
+    // half the time the burner remembers a card that matches the center
+    const top = room.discardPile.at(-1);
+    const match = top && victim ? victim.hand.findIndex(c => c.r === top.r) : -1;
+    return [burner, "burn:attempt", {
+      target,
+      targetId: payload.targetId,
+      index: match >= 0 && rnd.chance(0.5) ? match : rnd.int(-1, victim?.hand.length ?? 4),
+      giveIndex: rnd.int(-1, burner.hand.length)
+    }];
+  }
+
+  switch (room.phase) {
+    case "PEEK": {
+      const peeker = rnd.pick(room.players.filter(p => p.peeksLeft > 0).concat(me));
+      return [peeker, "game:peek", payload];
+    }
+    case "TURN_DRAW":
+    case "LAST_TURN":
+      // CABO gets likelier the longer the round runs
+      if (rnd.chance(Math.min(room.turnSeq / 60, 0.5))) return [me, "turn:cabo", payload];
+      return [me, "turn:take", { source: rnd.pick(["draw", "discard"]) }];
+    case "TURN_DECIDE":
+    case "CENTER_POWER": {
+      const prefix = room.phase === "CENTER_POWER" ? "centerPower" : "power";
+      if (room.pending) return [me, `${prefix}:kingConfirm`, payload];
+      const plain = room.phase === "CENTER_POWER" ? ["centerPower:skip"] : ["turn:swap", "turn:discardDrawn"];
+      if (rnd.chance(0.5)) return [me, rnd.pick(plain), payload];
+      // the card's own power half the time, so Kings get previewed often enough to matter
+      const card = room.phase === "CENTER_POWER" ? room.centerPower?.card : room.activeDraw?.card;
+      const own = card && POWER_EVENTS[room.rules.powers[card.r]];
+      return [me, `${prefix}:${own && rnd.chance(0.5) ? own : rnd.pick(Object.values(POWER_EVENTS))}`, payload];
+    }
+    default:
+      throw new Error(`No moves in ${room.phase}`);
+  }
+}
+
+// =====================
+// Invariants
+// =====================
+
+function checkCards(room) {
+  for (const p of room.players) assert.ok(p.hand.every(c => c?.r && c?.s), `every slot of ${p.name}'s hand holds a card`);
+  const cards = [
+    ...room.players.flatMap(p => p.hand),
+    ...room.drawPile,
+    ...room.discardPile,
+    ...(room.activeDraw ? [room.activeDraw.card] : [])
+  ];
+  assert.equal(cards.length, 52, "52 cards in play");
+  assert.equal(new Set(cards.map(cardKey)).size, 52, "every card exactly once");
+  if (room.phase === "ENDED") return; // hands stay face up after the round, eliminated or not
+  for (const p of room.players) if (p.eliminated) assert.equal(p.hand.length, 0, "eliminated seats hold no cards");
+}
+
+function checkView(room, viewer) {
+  const state = tableView(room, viewer?.id);
+  const ended = room.phase === "ENDED";
+  const { known, discardTop, ended: result, ...rest } = state;
+
+  if (!ended) {
+    assert.ok(!/"r":"/.test(JSON.stringify(rest)), "no face-down card in the public state");
+    assert.equal(result, null);
+    assert.ok(state.shuffles.every(s => s.seed === null), "shuffle seeds stay hidden until the round ends");
+  }
+  if (discardTop) assert.equal(cardKey(discardTop), cardKey(room.discardPile.at(-1)));
+
+  if (!viewer) return assert.equal(known, null, "spectators know nothing");
+  for (const k of known) {
+    const slot = room.players.find(p => p.id === k.playerId)?.hand[k.index];
+    assert.ok(slot && cardKey(slot) === cardKey(k.card), "known card is the card in that slot");
+    assert.ok(viewer.known.includes(cardKey(k.card)), "known card was seen by the viewer");
+  }
+}
+
+/** Partners sit opposite and share one match total. */
+function checkTeams(room) {
+  assert.deepEqual(room.players.map(p => p.team), ["A", "B", "A", "B"]);
+  const { totals } = room.match;
+  room.players.forEach((p, i) => assert.equal(totals[p.id], totals[room.players[(i + 2) % 4].id], "partners share a total"));
+}
+
+const holds = (room, playerId, card) => room.players.find(p => p.id === playerId).hand.some(c => cardKey(c) === cardKey(card));
+
+/**
+ * A King waiting for its confirm, and whether both cards it showed are still in
+ * those hands. Burns still queued are judged before the swap and may move them.
+ */
+function kingPreview(room) {
+  const pending = room.pending;
+  if (pending?.type !== "KING_CONFIRM") return null;
+  const kept = !room.burnWindow?.attempts.length && holds(room, pending.playerId, pending.myCard) && holds(room, pending.targetId, pending.oppCard);
+  return { ...pending, kept };
+}
+
+/** A confirmed King swap trades the two cards it showed, wherever they sit by then. */
+function checkKingSwap(room, king, lines) {
+  const swapped = lines.some(l => l.params?.detail?.code === "DETAIL_SEEN_SWAP");
+  if (king.kept) assert.ok(swapped, "a King whose cards stayed put swaps them");
+  if (swapped) assert.ok(holds(room, king.playerId, king.oppCard) && holds(room, king.targetId, king.myCard), "a King swaps the cards it showed");
+}
+
+/** The finished round's record deals and plays back to the same table. */
+function checkReplay(room) {
+  const record = room.rounds.at(-1);
+  const replayed = replayRound(record);
+  assert.equal(replayed.phase, "ENDED", "the replay ends the round");
+  assert.deepEqual(replayed.players.map(p => p.hand), room.players.map(p => p.hand), "the replay leaves the same hands");
+  assert.deepEqual([replayed.drawPile, replayed.discardPile], [room.drawPile, room.discardPile], "the replay leaves the same piles");
+  assert.deepEqual(replayed.ended, record.result, "the replay scores the round the same");
+}
+
+function checkTable(room) {
+  checkCards(room);
+  checkView(room, null);
+  for (const p of room.players) checkView(room, p);
+}
+
+// =====================
+// Rounds
+// =====================
+
+// the round records are left out: they are large and only accepted moves go in
+const snapshot = (room) => JSON.stringify({ ...room, history: null, rounds: null });
+
+function playRound(room, rnd) {
+  let caboAt = null;
+  let legal = 0;
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    const [me, event, payload] = randomMove(rnd, room);
+    if (event === "burnResolve") {
+      closeBurnWindow(room);
+      checkTable(room);
+      continue;
+    }
+    const before = snapshot(room);
+    const king = event.endsWith(":kingConfirm") ? kingPreview(room) : null;
+    const logLength = room.log.length;
+    try {
+      applyAction(room, me.id, { type: event, payload, at: step });
+    } catch (e) {
+      assert.ok(snapshot(room) === before, `rejected ${event} (${e.message}) changed the room`);
+      continue;
+    }
+    legal += 1;
+    checkTable(room);
+    if (king && payload.confirm) checkKingSwap(room, king, room.log.slice(logLength));
+
+    if (room.caboCalledBy && caboAt === null) caboAt = room.turnSeq;
+    if (room.phase === "ENDED") return legal;
+    if (caboAt !== null) {
+      assert.ok(room.turnSeq - caboAt < room.players.length, "everyone gets at most one turn after CABO");
+    }
+  }
+  assert.fail(`round did not end in ${MAX_STEPS} moves (${room.phase}, turn ${room.turnSeq})`);
+}
+
+test(`${GAMES} random games keep every card, hide every hand, always end and replay`, () => {
+  let rounds = 0;
+  let moves = 0;
+
+  for (let n = FROM; n < FROM + GAMES; n++) {
+    const { room, rnd } = newGame(n);
+    try {
+      for (let r = 0; r < ROUNDS_PER_GAME && !room.match.over; r++) {
+        if (r > 0) startGame(room);
+        checkTable(room);
+        moves += playRound(room, rnd);
+        checkReplay(room);
+        rounds += 1;
+        if (room.rules.teams) checkTeams(room);
+      }
+    } catch (e) {
+      e.message = `game ${n} (seed sim-${n}, round ${room.match.round}): ${e.message}`;
+      throw e;
+    }
+  }
+  assert.ok(moves > rounds, `${rounds} rounds, ${moves} legal moves`);
+});
@@ -0,0 +1,69 @@
+import { msg, KaboError } from "./i18n.js";
+
+// =====================
+// Inbound validation
+// =====================
+// Small schema helpers for socket payloads. A schema is { field: check } where
+// each check throws with a message naming the field; unknown fields are
+// rejected so a typo or an injected key never reaches a handler.
+
+function fail(key, expected) {
+  throw new KaboError("FIELD_INVALID", { field: key, expected });
+}
+
+export const int = ({ min = 0, max = 1000 } = {}) => (v, key) => {
+  if (!Number.isInteger(v) || v < min || v > max) fail(key, msg("EXPECT_INT", { min, max }));
+};
+
+export const str = ({ min = 1, max = 64 } = {}) => (v, key) => {
+  if (typeof v !== "string" || v.length < min || v.length > max) fail(key, msg("EXPECT_STRING", { min, max }));
+};
+
+export const bool = () => (v, key) => {
+  if (typeof v !== "boolean") fail(key, msg("EXPECT_BOOL"));
+};
+
+export const oneOf = (...values) => (v, key) => {
+  if (!values.includes(v)) fail(key, msg("EXPECT_ONE_OF", { values: values.join(", ") }));
+};
+
+export const plainObject = () => (v, key) => {
+  if (v === null || typeof v !== "object" || Array.isArray(v)) fail(key, msg("EXPECT_OBJECT"));
+};
+
+export const optional = (check) => (v, key) => {
+  if (v !== undefined) check(v, key);
+};
+
+/** Throws unless payload matches fields; `check(payload)` may return a message for one more error. */
+export function validatePayload(fields, payload, check) {
+  if (payload === null || typeof payload !== "object" || Array.isArray(payload)) throw new KaboError("PAYLOAD_NOT_OBJECT");
+  for (const key of Object.keys(payload)) {
+    if (!Object.hasOwn(fields, key)) throw new KaboError("UNEXPECTED_FIELD", { field: key });
+  }
+  for (const [key, fieldCheck] of Object.entries(fields)) fieldCheck(payload[key], key);
+  const problem = check?.(payload);
+  if (problem) throw new KaboError(problem.code, problem.params);
+}
+
+// =====================
+// Rate limits
+// =====================
+
+/** Token bucket: up to `capacity` events at once, refilled at `perSecond`. */
+export class TokenBucket {
+  constructor(capacity, perSecond) {
+    this.capacity = capacity;
+    this.perSecond = perSecond;
+    this.tokens = capacity;
+    this.at = Date.now();
+  }
+
+  take(now = Date.now()) {
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.at) / 1000) * this.perSecond);
+    this.at = now;
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+}